@@ -0,0 +1,279 @@
+import puppeteer from "puppeteer";
+
+const DEFAULT_MAX_PAGES = 4;
+const DEFAULT_IDLE_TIMEOUT_MS = 60000;
+const LAUNCH_ARGS = ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"];
+
+function launchBrowser() {
+  return puppeteer.launch({
+    headless: true,
+    args: LAUNCH_ARGS,
+  });
+}
+
+// One Chromium shared by every MCP session. At most `maxPages` pages are checked
+// out at a time; further requests queue. Released pages stay open (idle) for reuse
+// by requests with the same key, so cookies only need to be set once per page.
+// Each key gets its own browser context, so cookies set for one key never reach
+// another key's pages.
+export function createBrowserPool({
+  maxPages = DEFAULT_MAX_PAGES,
+  idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS,
+  launch = launchBrowser,
+} = {}) {
+  let browserPromise = null;
+  let active = 0;
+  let closed = false;
+  let launches = 0;
+  const idle = [];
+  const waiters = [];
+  const pageKeys = new WeakMap();
+  // key -> Promise<BrowserContext>, and how many of its pages are checked out
+  const contexts = new Map();
+  const checkedOut = new Map();
+  // Keys evicted while some of their pages were checked out
+  const retiring = new Set();
+
+  function getBrowser() {
+    if (!browserPromise) {
+      const launching = launch().then((browser) => {
+        launches++;
+        // Chromium crashed or was killed: forget it so the next request relaunches
+        browser.once("disconnected", () => {
+          if (browserPromise === launching) {
+            browserPromise = null;
+          }
+          idle.splice(0).forEach((entry) => clearTimeout(entry.timer));
+          contexts.clear();
+        });
+        return browser;
+      });
+      launching.catch(() => {
+        if (browserPromise === launching) {
+          browserPromise = null;
+        }
+      });
+      browserPromise = launching;
+    }
+    return browserPromise;
+  }
+
+  function getContext(browser, key) {
+    if (!contexts.has(key)) {
+      const creating = browser.createBrowserContext();
+      creating.catch(() => contexts.delete(key));
+      contexts.set(key, creating);
+    }
+    return contexts.get(key);
+  }
+
+  async function closeContext(key) {
+    const context = await contexts.get(key)?.catch(() => null);
+    contexts.delete(key);
+    await context?.close().catch(() => {});
+  }
+
+  function trackCheckout(key, delta) {
+    const count = (checkedOut.get(key) || 0) + delta;
+    if (count > 0) {
+      checkedOut.set(key, count);
+    } else {
+      checkedOut.delete(key);
+    }
+  }
+
+  function reserveSlot() {
+    if (active < maxPages) {
+      active++;
+      return Promise.resolve();
+    }
+    // The releasing request hands its slot straight to the next waiter
+    return new Promise((resolve) => waiters.push(resolve));
+  }
+
+  function releaseSlot() {
+    const next = waiters.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  async function closePage(page) {
+    try {
+      await page.close();
+    } catch {
+      // Page or browser already gone.
+    }
+  }
+
+  function removeIdle(entry) {
+    const idx = idle.indexOf(entry);
+    if (idx === -1) return false;
+    idle.splice(idx, 1);
+    clearTimeout(entry.timer);
+    return true;
+  }
+
+  function takeIdle(key) {
+    const entry = idle.find((candidate) => candidate.key === key && !candidate.page.isClosed());
+    if (!entry) return null;
+    removeIdle(entry);
+    return entry.page;
+  }
+
+  // Keep open pages (checked out plus idle) within maxPages
+  async function trimIdle() {
+    while (idle.length > 0 && active + idle.length > maxPages) {
+      const entry = idle[0];
+      removeIdle(entry);
+      await closePage(entry.page);
+    }
+  }
+
+  async function acquire(key, setup) {
+    await reserveSlot();
+    try {
+      if (closed) {
+        throw new Error("Browser pool is shut down");
+      }
+      retiring.delete(key);
+      const reused = takeIdle(key);
+      if (reused) {
+        trackCheckout(key, 1);
+        return reused;
+      }
+
+      // Make room by dropping idle pages that belong to other keys
+      await trimIdle();
+
+      const browser = await getBrowser();
+      const context = await getContext(browser, key);
+      const page = await context.newPage();
+      pageKeys.set(page, key);
+      try {
+        await setup(page);
+      } catch (error) {
+        await closePage(page);
+        throw error;
+      }
+      trackCheckout(key, 1);
+      return page;
+    } catch (error) {
+      releaseSlot();
+      throw error;
+    }
+  }
+
+  async function release(page) {
+    const key = pageKeys.get(page);
+    trackCheckout(key, -1);
+    try {
+      if (retiring.has(key)) {
+        await closePage(page);
+        if (!checkedOut.has(key)) {
+          retiring.delete(key);
+          await closeContext(key);
+        }
+        return;
+      }
+      const reusable = !closed && !page.isClosed() && page.browser().connected;
+      if (!reusable) {
+        await closePage(page);
+        return;
+      }
+      try {
+        // Stop scripts and timers of the previous document before parking the page
+        await page.goto("about:blank");
+      } catch {
+        await closePage(page);
+        return;
+      }
+      const entry = { page, key, timer: null };
+      entry.timer = setTimeout(() => {
+        if (removeIdle(entry)) closePage(page);
+      }, idleTimeoutMs);
+      entry.timer.unref?.();
+      idle.push(entry);
+    } finally {
+      // A queued request picks up the parked page, or trims it to make room
+      releaseSlot();
+    }
+  }
+
+  // Drop idle pages for a key, e.g. after its cookies changed. Its browser context
+  // goes too once no page of the key is checked out.
+  async function evict(key) {
+    const entries = idle.filter((entry) => entry.key === key);
+    for (const entry of entries) {
+      removeIdle(entry);
+      await closePage(entry.page);
+    }
+    if (checkedOut.has(key)) {
+      retiring.add(key);
+    } else {
+      await closeContext(key);
+    }
+  }
+
+  function stats() {
+    return {
+      max_pages: maxPages,
+      active_pages: active,
+      idle_pages: idle.length,
+      contexts: contexts.size,
+      queued: waiters.length,
+      browser_running: browserPromise !== null,
+      launches,
+    };
+  }
+
+  async function close() {
+    closed = true;
+    // Let queued requests through so they fail fast instead of hanging
+    waiters.splice(0).forEach((resolve) => {
+      active++;
+      resolve();
+    });
+    for (const entry of idle.splice(0)) {
+      clearTimeout(entry.timer);
+      await closePage(entry.page);
+    }
+    contexts.clear();
+    if (browserPromise) {
+      const browser = await browserPromise.catch(() => null);
+      browserPromise = null;
+      await browser?.close().catch(() => {});
+    }
+  }
+
+  return { acquire, release, evict, stats, close };
+}
+
+let sharedPool = null;
+
+// Process-wide pool; the options of the first caller win
+export function getBrowserPool(options) {
+  if (!sharedPool) {
+    sharedPool = createBrowserPool(options);
+  }
+  return sharedPool;
+}
+
+// Stats of the process-wide pool, or null if no session has needed one yet
+export function getBrowserPoolStats() {
+  return sharedPool?.stats() ?? null;
+}
+
+// Evict a key from the process-wide pool, if one was started
+export async function evictFromBrowserPool(key) {
+  await sharedPool?.evict(key);
+}
+
+export async function closeBrowserPool() {
+  if (!sharedPool) return;
+  const pool = sharedPool;
+  sharedPool = null;
+  await pool.close();
+}
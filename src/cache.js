@@ -0,0 +1,161 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+// JSON.stringify with sorted object keys, so argument order doesn't change the key
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const DEFAULT_MAX_MEMORY_ENTRIES = 500;
+
+// Response cache kept in memory and mirrored to one JSON file per entry in `dir`,
+// so entries survive server restarts. Without a dir it is memory-only. At most
+// `maxEntries` stay in memory, least recently used out first; the files remain.
+export function createCache({ dir, maxEntries = DEFAULT_MAX_MEMORY_ENTRIES } = {}) {
+  const memory = new Map();
+  let dirReady = null;
+
+  function entryPath(key) {
+    return join(dir, `${hashKey(key)}.json`);
+  }
+
+  async function ensureDir() {
+    if (!dirReady) {
+      dirReady = mkdir(dir, { recursive: true });
+    }
+    return dirReady;
+  }
+
+  function isExpired(entry) {
+    return entry.expiresAt <= Date.now();
+  }
+
+  // Map order is insertion order, so re-inserting on use keeps the oldest first
+  function remember(entry) {
+    memory.delete(entry.key);
+    memory.set(entry.key, entry);
+    for (const key of memory.keys()) {
+      if (memory.size <= maxEntries) break;
+      memory.delete(key);
+    }
+  }
+
+  function pruneMemory() {
+    for (const [key, entry] of memory) {
+      if (isExpired(entry)) memory.delete(key);
+    }
+  }
+
+  async function readEntryFile(path) {
+    try {
+      return JSON.parse(await readFile(path, "utf-8"));
+    } catch {
+      return null;
+    }
+  }
+
+  async function get(key) {
+    let entry = memory.get(key);
+    if (!entry && dir) {
+      entry = await readEntryFile(entryPath(key));
+      if (entry?.key !== key) entry = null;
+    }
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      await remove(key);
+      return null;
+    }
+    remember(entry);
+    return entry;
+  }
+
+  async function set(key, value, { ttlMs, tool }) {
+    const now = Date.now();
+    const entry = { key, tool, createdAt: now, expiresAt: now + ttlMs, value };
+    pruneMemory();
+    remember(entry);
+    if (dir) {
+      try {
+        await ensureDir();
+        await writeFile(entryPath(key), JSON.stringify(entry));
+      } catch (error) {
+        // A read-only or full disk only costs us persistence.
+        console.error(`Cache write failed: ${error.message}`);
+      }
+    }
+    return entry;
+  }
+
+  async function remove(key) {
+    memory.delete(key);
+    if (dir) {
+      await rm(entryPath(key), { force: true });
+    }
+  }
+
+  // All live entries, from disk when persistent so other processes' entries show up
+  async function entries() {
+    const all = new Map(memory);
+    if (dir) {
+      let files = [];
+      try {
+        files = await readdir(dir);
+      } catch {
+        // Nothing persisted yet.
+      }
+      for (const file of files.filter((name) => name.endsWith(".json"))) {
+        const entry = await readEntryFile(join(dir, file));
+        if (entry?.key && !all.has(entry.key)) all.set(entry.key, entry);
+      }
+    }
+
+    const live = [];
+    for (const entry of all.values()) {
+      if (isExpired(entry)) {
+        await remove(entry.key);
+      } else {
+        live.push(entry);
+      }
+    }
+    return live;
+  }
+
+  // `prefix` narrows to keys starting with it
+  async function list({ tool, prefix = "" } = {}) {
+    return (await entries())
+      .filter((entry) => (!tool || entry.tool === tool) && entry.key.startsWith(prefix))
+      .map(({ key, tool: entryTool, createdAt, expiresAt }) => ({
+        key,
+        tool: entryTool,
+        cached_at: new Date(createdAt).toISOString(),
+        expires_at: new Date(expiresAt).toISOString(),
+      }));
+  }
+
+  async function clear({ tool, key, prefix = "" } = {}) {
+    const targets = (await entries()).filter((entry) =>
+      (!tool || entry.tool === tool) && (!key || entry.key === key) && entry.key.startsWith(prefix)
+    );
+    for (const entry of targets) {
+      await remove(entry.key);
+    }
+    return targets.length;
+  }
+
+  return { dir, get, set, delete: remove, list, clear };
+}
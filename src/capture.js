@@ -0,0 +1,368 @@
+import { createHash } from "node:crypto";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { CourseraError } from "./errors.js";
+
+// Record/replay of Coursera traffic, so a broken scraper can be reproduced from a
+// capture attached to a bug report.
+//
+// COURSERA_RECORD=dir saves one JSON file per API response and per rendered page:
+//   dir/api/<name>-<hash>.json    { method, url, status, content_type, body }
+//   dir/pages/<name>-<hash>.json  { url, final_url, status, html, responses: [...] }
+// where `responses` are the XHR/fetch responses the page loaded while rendering.
+// COURSERA_REPLAY=dir answers the same requests from those files without touching
+// the network.
+//
+// Captures are scrubbed before they're written: cookie values, the learner's user
+// id, name and email addresses are replaced, and scripts (which carry the page's
+// bootstrapped state) are dropped from the HTML.
+
+const SCRUBBED = "scrubbed";
+const PLACEHOLDER_NAME = "Test Learner";
+const PLACEHOLDER_EMAIL = "learner@example.com";
+// Placeholder user ids count up from here, one per real id seen
+const PLACEHOLDER_USER_ID = 1000001;
+// Shorter cookie values (flags like "1") would match all over the place
+const MIN_COOKIE_VALUE_LENGTH = 8;
+
+// Addresses end in an alphabetic TLD; asset names like image@2x.png end in a file
+// extension and are left alone
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.(?!(?:png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|json|html?|xml|pdf|mp4|webm|vtt|srt|woff2?|ttf)\b)[a-z]{2,}\b/gi;
+const SCRIPT_PATTERN = /<script\b[^>]*>[\s\S]*?<\/script\s*>/gi;
+const USER_ID_KEYS = new Set(["userId", "learnerId", "user_id"]);
+const NAME_KEYS = new Set(["fullName", "firstName", "lastName", "displayName"]);
+// The profile names the learner in a plain `name` field
+const PROFILE_URL_PATTERN = /\/externalBasicProfiles\.v\d/;
+const RECORDED_RESOURCE_TYPES = new Set(["xhr", "fetch"]);
+
+// null unless COURSERA_RECORD or COURSERA_REPLAY is set
+export function loadCaptureConfig() {
+  const record = process.env.COURSERA_RECORD?.trim();
+  const replay = process.env.COURSERA_REPLAY?.trim();
+  if (record && replay) {
+    throw new Error("Set COURSERA_RECORD or COURSERA_REPLAY, not both");
+  }
+  if (!record && !replay) return null;
+  return { mode: record ? "record" : "replay", dir: resolve(record || replay) };
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+// The fragment never reaches the server, so it isn't part of the key
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  return parsed.href;
+}
+
+// e.g. api/memberships.v1-3fa2c1d0e9b4.json; the hash keeps query variants apart
+function captureFileName(key, url) {
+  const name = new URL(url).pathname
+    .split("/")
+    .filter((part) => part && part !== "api")
+    .slice(-2)
+    .join("_")
+    .replace(/[^\w.-]+/g, "_")
+    .slice(0, 60);
+  return `${name || "index"}-${hashKey(key).slice(0, 12)}.json`;
+}
+
+function cookieValues(cookieHeader = "") {
+  return cookieHeader
+    .split(";")
+    .map((pair) => pair.slice(pair.indexOf("=") + 1).trim())
+    .filter((value) => value.length >= MIN_COOKIE_VALUE_LENGTH);
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// Learns who the learner is from the JSON passing through (user ids, names) and
+// replaces those values everywhere, including responses recorded later. Each real
+// user id maps to its own placeholder so ids still join up on replay.
+function createScrubber() {
+  const userIds = new Map();
+  const names = new Set();
+
+  function learnUserId(value) {
+    const id = String(value);
+    if (/^\d{3,}$/.test(id) && !userIds.has(id)) {
+      userIds.set(id, String(PLACEHOLDER_USER_ID + userIds.size));
+    }
+  }
+
+  function learnName(value) {
+    if (typeof value === "string" && value.trim().length >= 3 && value !== PLACEHOLDER_NAME) {
+      names.add(value.trim());
+    }
+  }
+
+  function learn(value, { profile }) {
+    if (Array.isArray(value)) {
+      value.forEach((item) => learn(item, { profile }));
+      return;
+    }
+    if (!value || typeof value !== "object") return;
+    for (const [key, child] of Object.entries(value)) {
+      if (USER_ID_KEYS.has(key) && (typeof child === "number" || typeof child === "string")) {
+        learnUserId(child);
+      } else if (NAME_KEYS.has(key) || (profile && key === "name")) {
+        learnName(child);
+      } else {
+        learn(child, { profile });
+      }
+    }
+  }
+
+  function scrubText(text, cookies) {
+    let scrubbed = text;
+    for (const value of cookieValues(cookies)) {
+      scrubbed = scrubbed.split(value).join(SCRUBBED);
+    }
+    for (const [id, placeholder] of userIds) {
+      scrubbed = scrubbed.replace(new RegExp(`\\b${id}\\b`, "g"), placeholder);
+    }
+    for (const name of names) {
+      scrubbed = scrubbed.split(name).join(PLACEHOLDER_NAME);
+    }
+    return scrubbed.replace(EMAIL_PATTERN, PLACEHOLDER_EMAIL);
+  }
+
+  // Returns the scrubbed URL and body; JSON bodies come back parsed
+  function scrubResponse({ url, contentType, text, cookies }) {
+    const json = contentType?.includes("json") ? parseJson(text) : undefined;
+    if (json !== undefined) {
+      learn(json, { profile: PROFILE_URL_PATTERN.test(url) });
+    }
+    const body = scrubText(text, cookies);
+    return {
+      url: scrubText(url, cookies),
+      body: json !== undefined ? parseJson(body) ?? body : body,
+    };
+  }
+
+  function scrubHtml(html, cookies) {
+    return scrubText(html.replace(SCRIPT_PATTERN, ""), cookies);
+  }
+
+  return { scrubText, scrubResponse, scrubHtml };
+}
+
+function createRecorder(dir) {
+  const scrubber = createScrubber();
+  const dirsReady = new Map();
+
+  async function save(kind, key, url, capture) {
+    const kindDir = join(dir, kind);
+    if (!dirsReady.has(kind)) {
+      dirsReady.set(kind, mkdir(kindDir, { recursive: true }));
+    }
+    await dirsReady.get(kind);
+    await writeFile(join(kindDir, captureFileName(key, url)), JSON.stringify(capture, null, 2));
+  }
+
+  // A failed write loses the capture, never the tool call
+  function saveQuietly(...args) {
+    return save(...args).catch((error) => {
+      console.error(`Capture write failed: ${error.message}`);
+    });
+  }
+
+  // Wraps the scheduler's fetch so every response is saved before courseraFetch reads it
+  function wrapFetch(fetchFn) {
+    return async function recordingFetch(url, options = {}) {
+      const response = await fetchFn(url, options);
+      const method = (options.method || "GET").toUpperCase();
+      const contentType = response.headers.get("content-type");
+      const text = await response.clone().text();
+      const scrubbed = scrubber.scrubResponse({ url, contentType, text, cookies: options.headers?.Cookie });
+      await saveQuietly("api", `${method} ${scrubbed.url}`, scrubbed.url, {
+        method,
+        url: scrubbed.url,
+        status: response.status,
+        content_type: contentType,
+        body: scrubbed.body,
+        recorded_at: new Date().toISOString(),
+      });
+      return response;
+    };
+  }
+
+  async function readPageResponse(response, cookies) {
+    const contentType = response.headers()["content-type"] || null;
+    let text;
+    try {
+      text = await response.text();
+    } catch {
+      // Redirects and aborted requests have no body
+      return null;
+    }
+    const scrubbed = scrubber.scrubResponse({ url: response.url(), contentType, text, cookies });
+    return {
+      method: response.request().method(),
+      url: scrubbed.url,
+      status: response.status(),
+      content_type: contentType,
+      body: scrubbed.body,
+    };
+  }
+
+  // Start collecting the XHR/fetch responses `page` loads; `finish()` saves them
+  // with a snapshot of the rendered HTML. Call it once the page is ready.
+  function recordPage(page, url, cookies) {
+    const pending = [];
+    let documentStatus = null;
+    const onResponse = (response) => {
+      const request = response.request();
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        documentStatus = response.status();
+      }
+      if (RECORDED_RESOURCE_TYPES.has(request.resourceType())) {
+        pending.push(readPageResponse(response, cookies));
+      }
+    };
+    page.on("response", onResponse);
+
+    return {
+      async finish() {
+        page.off("response", onResponse);
+        try {
+          const responses = (await Promise.all(pending)).filter(Boolean);
+          const html = scrubber.scrubHtml(await page.content(), cookies);
+          const pageUrl = scrubber.scrubText(normalizeUrl(url), cookies);
+          await saveQuietly("pages", pageUrl, pageUrl, {
+            url: pageUrl,
+            final_url: scrubber.scrubText(normalizeUrl(page.url()), cookies),
+            status: documentStatus,
+            html,
+            responses,
+            recorded_at: new Date().toISOString(),
+          });
+        } catch (error) {
+          console.error(`Page capture failed for ${url}: ${error.message}`);
+        }
+      },
+    };
+  }
+
+  return {
+    mode: "record",
+    dir,
+    wrapFetch,
+    recordPage,
+    preparePage: async () => {},
+  };
+}
+
+function readCaptures(dir, kind) {
+  const kindDir = join(dir, kind);
+  if (!existsSync(kindDir)) return [];
+  return readdirSync(kindDir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => JSON.parse(readFileSync(join(kindDir, name), "utf-8")));
+}
+
+function responseBody(capture) {
+  return typeof capture.body === "string" ? capture.body : JSON.stringify(capture.body);
+}
+
+function createReplayer(dir) {
+  if (!existsSync(dir)) {
+    throw new Error(`COURSERA_REPLAY directory not found: ${dir}`);
+  }
+  // "METHOD url" -> response, for courseraFetch and for the pages' own requests
+  const responses = new Map();
+  // url -> page, under both the requested and the final URL
+  const pages = new Map();
+
+  for (const capture of readCaptures(dir, "api")) {
+    responses.set(`${capture.method} ${capture.url}`, capture);
+  }
+  for (const page of readCaptures(dir, "pages")) {
+    for (const response of page.responses || []) {
+      const key = `${response.method} ${response.url}`;
+      if (!responses.has(key)) responses.set(key, response);
+    }
+    if (!pages.has(page.final_url)) pages.set(page.final_url, page);
+    pages.set(page.url, page);
+  }
+
+  function wrapFetch() {
+    return async function replayingFetch(url, options = {}) {
+      const method = (options.method || "GET").toUpperCase();
+      const capture = responses.get(`${method} ${url}`);
+      if (!capture) {
+        throw new CourseraError("upstream_unavailable", `No recorded response for ${method} ${url} in ${dir}`, {
+          retryable: false,
+          hint: "The capture doesn't cover this request. Record it again with COURSERA_RECORD.",
+        });
+      }
+      return new Response(responseBody(capture), {
+        status: capture.status,
+        headers: capture.content_type ? { "Content-Type": capture.content_type } : {},
+      });
+    };
+  }
+
+  // Answer the page's requests from the capture. Recorded HTML is already rendered,
+  // so scripts, styles and images are aborted rather than fetched.
+  function handleRequest(request) {
+    const url = normalizeUrl(request.url());
+    if (request.isNavigationRequest()) {
+      const page = pages.get(url);
+      if (!page) {
+        request.respond({ status: 404, contentType: "text/html", body: "<!DOCTYPE html><title>Not recorded</title>" });
+      } else if (page.url === url && page.final_url !== url) {
+        request.respond({ status: 302, headers: { Location: page.final_url } });
+      } else {
+        request.respond({ status: page.status ?? 200, contentType: "text/html; charset=utf-8", body: page.html });
+      }
+      return;
+    }
+    const capture = RECORDED_RESOURCE_TYPES.has(request.resourceType())
+      && responses.get(`${request.method()} ${url}`);
+    if (capture) {
+      request.respond({ status: capture.status, contentType: capture.content_type ?? undefined, body: responseBody(capture) });
+    } else {
+      request.abort("blockedbyclient");
+    }
+  }
+
+  async function preparePage(page) {
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      handleRequest(request);
+    });
+  }
+
+  return {
+    mode: "replay",
+    dir,
+    wrapFetch,
+    recordPage: () => null,
+    preparePage,
+  };
+}
+
+export function createCapture({ mode, dir }) {
+  return mode === "record" ? createRecorder(dir) : createReplayer(dir);
+}
+
+let sharedCapture;
+
+// One recorder or replayer per process; the first caller's config wins
+export function getCapture(config) {
+  if (sharedCapture === undefined) {
+    sharedCapture = config ? createCapture(config) : null;
+  }
+  return sharedCapture;
+}
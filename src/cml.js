@@ -0,0 +1,83 @@
+import { parse, NodeType } from "node-html-parser";
+
+// Coursera stores readings as CML, an XML dialect the web app renders itself:
+//   <co-content><heading level="2">..</heading><text>..</text>
+//   <list bulletType="numbers"><li>..</li></list><code language="python">..</code>
+//   <image src=".." alt=".."/><asset name=".." extension="pdf"/></co-content>
+// renderCml turns it into HTML, so API content goes through the same Markdown
+// conversion as scraped pages.
+
+const PASSTHROUGH_TAGS = new Set([
+  "a", "strong", "b", "em", "i", "u", "sup", "sub", "table", "thead", "tbody", "tr", "th", "td",
+]);
+// <text> is a paragraph, except where HTML expects inline content
+const INLINE_PARENTS = new Set(["li", "td", "th"]);
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+function attributes(pairs) {
+  return pairs
+    .filter(([, value]) => value)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join("");
+}
+
+function convertChildren(node, tag) {
+  return node.childNodes.map(child => convertNode(child, tag)).join("");
+}
+
+function convertNode(node, parentTag) {
+  // Text keeps its entities; CML is escaped the same way HTML is
+  if (node.nodeType === NodeType.TEXT_NODE) return node.rawText;
+  if (node.nodeType !== NodeType.ELEMENT_NODE) return "";
+
+  const tag = node.rawTagName?.toLowerCase();
+  switch (tag) {
+    case "text": {
+      const content = convertChildren(node, tag);
+      return INLINE_PARENTS.has(parentTag) ? content : `<p>${content}</p>`;
+    }
+    case "heading": {
+      const level = Math.min(Math.max(Number.parseInt(node.getAttribute("level"), 10) || 2, 1), 6);
+      return `<h${level}>${convertChildren(node, tag)}</h${level}>`;
+    }
+    case "list": {
+      const listTag = node.getAttribute("bulletType") === "numbers" ? "ol" : "ul";
+      return `<${listTag}>${convertChildren(node, listTag)}</${listTag}>`;
+    }
+    case "li":
+      return `<li>${convertChildren(node, tag)}</li>`;
+    case "code": {
+      const language = node.getAttribute("language");
+      return `<pre><code${attributes([["class", language && `language-${language}`]])}>${node.rawText}</code></pre>`;
+    }
+    case "image":
+      return node.getAttribute("src")
+        ? `<img${attributes([["src", node.getAttribute("src")], ["alt", node.getAttribute("alt")]])}>`
+        : "";
+    case "asset": {
+      const name = [node.getAttribute("name"), node.getAttribute("extension")].filter(Boolean).join(".");
+      const url = node.getAttribute("url") || node.getAttribute("href");
+      if (url) return `<p><a${attributes([["href", url]])}>${name || url}</a></p>`;
+      return name ? `<p>Attachment: ${name}</p>` : "";
+    }
+    case "br":
+      return "<br>";
+    default: {
+      const content = convertChildren(node, tag);
+      if (!PASSTHROUGH_TAGS.has(tag)) return content;
+      const href = tag === "a" ? attributes([["href", node.getAttribute("href")]]) : "";
+      return `<${tag}${href}>${content}</${tag}>`;
+    }
+  }
+}
+
+// { html, text } for a CML document
+export function renderCml(cml) {
+  const root = parse(cml || "");
+  const html = convertChildren(root, null);
+  const text = parse(html, { blockTextElements: { script: true, style: true } }).structuredText;
+  return { html, text: text.trim() };
+}
@@ -1,17 +1,180 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createHash } from "node:crypto";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { parse } from "node-html-parser";
-import puppeteer from "puppeteer";
-import { loadEnv } from "./env.js";
+import { evictFromBrowserPool, getBrowserPool } from "./browser-pool.js";
+import { getRequestScheduler } from "./request-scheduler.js";
+import {
+  getSessionStatus,
+  isSessionCheckStale,
+  recordPageLoad,
+  recordSessionCheck,
+} from "./session.js";
+import { createCache, stableStringify } from "./cache.js";
+import { getCapture, loadCaptureConfig } from "./capture.js";
+import { renderCml } from "./cml.js";
+import { defaultCredentials } from "./credentials.js";
+import {
+  CourseraError,
+  errorFromResponse,
+  formatErrorResult,
+  ignoreErrors,
+  toCourseraError,
+} from "./errors.js";
+import { htmlToMarkdown } from "./markdown.js";
+import { gotoWhenReady, summarizeTimings } from "./page-readiness.js";
+import { combineDiagnostics, diagnose, isDrifted, snapshotPage } from "./scrape-diagnostics.js";
+import { extractFields, fieldRule, loadScrapeRules, pageReadiness, ruleField } from "./scrape-rules.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const DEFAULT_PER_PAGE = 50;
 const USER_AGENT = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
 
-// Coursera API endpoints
-const COURSERA_API_BASE = "https://www.coursera.org/api";
+const DEFAULT_COURSERA_BASE_URL = "https://www.coursera.org";
+
+const DEFAULT_DEADLINE_WINDOW_DAYS = 7;
+// Grade lookups in flight at once for list_specializations
+const COMPLETION_CONCURRENCY = 4;
+// Courses whose deadlines get_deadlines fetches at once
+const DEADLINE_CONCURRENCY = 4;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Default cache lifetimes per tool (override with COURSERA_CACHE_TTL_<TOOL>=seconds).
+// Tools without an entry are never cached.
+const CACHE_TTLS = {
+  get_course: DAY_MS,
+  search_courses: HOUR_MS,
+  list_course_materials: HOUR_MS,
+  list_assignments: HOUR_MS,
+  get_page_content: HOUR_MS,
+  get_reading: DAY_MS,
+  get_lecture: DAY_MS,
+  get_assignment: 10 * MINUTE_MS,
+  list_enrollments: 10 * MINUTE_MS,
+  list_specializations: 10 * MINUTE_MS,
+  list_degree_programs: HOUR_MS,
+  get_deadlines: 5 * MINUTE_MS,
+  get_progress: MINUTE_MS,
+  get_grades: 5 * MINUTE_MS,
+};
+const CACHE_MODES = ["default", "bypass", "refresh"];
+
+// OAuth scopes, checked when the HTTP transport authenticates with access tokens.
+// Tools need coursera:read unless listed here; resources and prompts need it too.
+export const SCOPES = {
+  read: "coursera:read",
+  admin: "coursera:admin",
+};
+const TOOL_SCOPES = {
+  manage_cache: SCOPES.admin,
+};
+
+// The scope a JSON-RPC request needs, or null if any authenticated caller may send it
+export function requiredScope(message) {
+  switch (message?.method) {
+    case "tools/call":
+      return TOOL_SCOPES[message.params?.name] ?? SCOPES.read;
+    case "resources/list":
+    case "resources/read":
+    case "prompts/get":
+      return SCOPES.read;
+    default:
+      return null;
+  }
+}
+
+const DEFAULT_PAGE_TIMEOUT_MS = 30000;
+
+// Where Coursera sends logged-out visitors, and what its login form looks like
+const LOGIN_URL_PATTERN = /coursera\.org\/(?:login|signup)\b|[?&]authMode=(?:login|signup)\b/;
+const LOGIN_FORM_SELECTOR = 'form[name="login"], [data-e2e="login-form"], input[type="password"][name="password"]';
+// How long /health reuses the last session check
+const SESSION_CHECK_MAX_AGE_MS = MINUTE_MS;
+
+// Tools that render pages in the browser accept a per-page timeout
+const BROWSER_TOOLS = new Set([
+  "list_course_materials",
+  "get_page_content",
+  "get_reading",
+  "get_lecture",
+  "list_assignments",
+  "get_assignment",
+  "get_progress",
+  "get_grades",
+  "scraper_selfcheck",
+]);
+
+// Coursera item content types mapped to our item types and URL path segments
+const ITEM_TYPES = {
+  lecture: { type: "lecture", path: "lecture" },
+  supplement: { type: "reading", path: "supplement" },
+  quiz: { type: "quiz", path: "quiz" },
+  exam: { type: "exam", path: "exam" },
+  peer: { type: "peer", path: "peer" },
+  phasedPeer: { type: "peer", path: "peer" },
+  gradedPeer: { type: "peer", path: "peer" },
+  gradedProgramming: { type: "programming", path: "programming" },
+  ungradedProgramming: { type: "programming", path: "programming" },
+  staffGraded: { type: "assignment", path: "assignment" },
+  discussionPrompt: { type: "discussion", path: "discussionPrompt" },
+};
+
+// Item types that carry a due date
+const DEADLINE_ITEM_TYPES = new Set(["quiz", "exam", "peer", "programming", "assignment"]);
+
+// Course grade passing states that count as a completed course
+const PASSED_STATES = new Set(["passed", "Passed", "verifiedPassed", "VerifiedPassed"]);
+
+// Catalog search pages through Coursera in fixed batches and filters locally,
+// since the search endpoints only support free-text queries
+const SEARCH_BATCH_SIZE = 100;
+const SEARCH_MAX_SCAN = 500;
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+const TRANSCRIPT_FORMATS = ["cues", "text", "vtt"];
+const CONTENT_FORMATS = ["text", "markdown", "html"];
+// Plain text is what these tools returned before `format` existed
+const DEFAULT_CONTENT_FORMAT = "text";
+// Question types by the inputs a quiz question renders, checked in this order
+const QUESTION_TYPES = ["multiple_choice", "single_choice", "code", "numeric"];
+
+const FORMAT_PROPERTY = {
+  type: "string",
+  enum: CONTENT_FORMATS,
+  description: "Output format for page content: 'text' is plain text (default), 'markdown' keeps headings, lists, tables, links and math, 'html' is raw markup.",
+};
+const PRODUCT_TYPES = ["course", "specialization", "professional_certificate", "guided_project"];
+const COURSE_LEVELS = ["beginner", "intermediate", "advanced", "mixed"];
+
+const CACHE_PROPERTY = {
+  type: "string",
+  enum: CACHE_MODES,
+  description: "'bypass' skips the response cache entirely, 'refresh' refetches and updates the cached entry.",
+};
+
+const TIMEOUT_PROPERTY = {
+  type: "integer",
+  minimum: 1000,
+  maximum: 120000,
+  description: "Maximum time in milliseconds to wait for each page to load and render (default 30000).",
+};
+
+const DEBUG_PROPERTY = {
+  type: "boolean",
+  description: "Also return a screenshot and the trimmed DOM of each page the tool rendered, to see why a scrape came back incomplete. Debug results are never cached.",
+};
 
 const tools = [
   {
@@ -47,7 +210,7 @@ const tools = [
   },
   {
     name: "list_course_materials",
-    description: "List all modules and materials in a course (uses browser to access protected content).",
+    description: "List the full course outline (module -> lesson -> item) with item IDs, types, estimated durations, lock and completion state. Uses the course materials API, falling back to browsing every week page.",
     inputSchema: {
       type: "object",
       properties: {
@@ -70,6 +233,7 @@ const tools = [
           type: "string",
           description: "Full Coursera URL (e.g., https://www.coursera.org/learn/online-social-media/supplement/QcAx4/essential-readings-content-integrity)",
         },
+        format: FORMAT_PROPERTY,
       },
       required: ["url"],
       additionalProperties: false,
@@ -77,7 +241,7 @@ const tools = [
   },
   {
     name: "get_reading",
-    description: "Get content of a reading/supplement material using browser rendering.",
+    description: "Get content of a reading/supplement material from Coursera's API, rendering the page in a browser only if the API has none.",
     inputSchema: {
       type: "object",
       properties: {
@@ -93,6 +257,7 @@ const tools = [
           type: "string",
           description: "The item name/slug for the URL (e.g., 'essential-readings-content-integrity').",
         },
+        format: FORMAT_PROPERTY,
       },
       required: ["course_slug", "item_id"],
       additionalProperties: false,
@@ -100,7 +265,7 @@ const tools = [
   },
   {
     name: "get_lecture",
-    description: "Get lecture/video content and transcript.",
+    description: "Get lecture/video details and a timestamped transcript from the lecture's subtitle track.",
     inputSchema: {
       type: "object",
       properties: {
@@ -116,6 +281,15 @@ const tools = [
           type: "string",
           description: "The item name for the URL.",
         },
+        language: {
+          type: "string",
+          description: "Subtitle language code (e.g., 'en', 'es', 'zh-CN'). Defaults to English, or the first available language.",
+        },
+        transcript_format: {
+          type: "string",
+          enum: TRANSCRIPT_FORMATS,
+          description: "'cues' returns timestamped cues (default), 'text' returns '[m:ss] text' lines, 'vtt' returns WebVTT.",
+        },
       },
       required: ["course_slug", "item_id"],
       additionalProperties: false,
@@ -123,7 +297,7 @@ const tools = [
   },
   {
     name: "list_assignments",
-    description: "List all assignments/quizzes in a course.",
+    description: "List all graded items (quizzes, exams, peer reviews, programming assignments) across every week of a course.",
     inputSchema: {
       type: "object",
       properties: {
@@ -138,7 +312,7 @@ const tools = [
   },
   {
     name: "get_assignment",
-    description: "Get assignment or quiz content using browser rendering.",
+    description: "Get a quiz or assignment as structured data: attempt limits, passing grade, time limit, due date and each question with its prompt, type, options, points and feedback from previous attempts.",
     inputSchema: {
       type: "object",
       properties: {
@@ -154,6 +328,7 @@ const tools = [
           type: "string",
           description: "The item name for the URL.",
         },
+        format: FORMAT_PROPERTY,
       },
       required: ["course_slug", "item_id"],
       additionalProperties: false,
@@ -174,6 +349,21 @@ const tools = [
       additionalProperties: false,
     },
   },
+  {
+    name: "get_grades",
+    description: "Get the course gradebook: each graded item with its weight, best score, attempts used, pass/fail status and due date, plus the overall grade and whether the course is on track to pass.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        course_slug: {
+          type: "string",
+          description: "The course slug.",
+        },
+      },
+      required: ["course_slug"],
+      additionalProperties: false,
+    },
+  },
   {
     name: "list_degree_programs",
     description: "List degree programs the user is enrolled in.",
@@ -183,567 +373,2272 @@ const tools = [
       additionalProperties: false,
     },
   },
+  {
+    name: "list_specializations",
+    description: "List specializations and professional certificates the user is enrolled in, with their ordered courses and completion progress. Courses whose grades couldn't be read are listed in `errors`.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "search_courses",
+    description: "Search the public Coursera catalog for courses, specializations, professional certificates and guided projects. Results the user is already enrolled in are marked.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search terms (e.g., 'machine learning').",
+        },
+        language: {
+          type: "string",
+          description: "Primary language code to filter by (e.g., 'en', 'es').",
+        },
+        partner: {
+          type: "string",
+          description: "Partner/university name to filter by (case-insensitive substring match).",
+        },
+        level: {
+          type: "string",
+          enum: COURSE_LEVELS,
+          description: "Difficulty level to filter by.",
+        },
+        product_type: {
+          type: "string",
+          enum: PRODUCT_TYPES,
+          description: "Only return this kind of product.",
+        },
+        price: {
+          type: "string",
+          enum: ["free", "paid"],
+          description: "Only return free or only paid products.",
+        },
+        page: {
+          type: "integer",
+          minimum: 1,
+          description: "Page of results to return (default 1).",
+        },
+        page_size: {
+          type: "integer",
+          minimum: 1,
+          maximum: 100,
+          description: "Number of results per page (default 20).",
+        },
+      },
+      required: ["query"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_deadlines",
+    description: "Get deadlines for quizzes, exams, peer reviews and programming assignments across all enrolled courses, sorted by due date.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        within_days: {
+          type: "integer",
+          minimum: 1,
+          maximum: 365,
+          description: "Only include deadlines due within this many days after `from` (default 7). Ignored when `to` is set.",
+        },
+        from: {
+          type: "string",
+          description: "Start of the window as an ISO 8601 date (default now).",
+        },
+        to: {
+          type: "string",
+          description: "End of the window as an ISO 8601 date.",
+        },
+        course_slug: {
+          type: "string",
+          description: "Only include deadlines for this course.",
+        },
+        include_overdue: {
+          type: "boolean",
+          description: "Also include past-due items that are not completed yet.",
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "auth_status",
+    description: "Check whether the Coursera session cookie is still valid. Returns the logged-in user id and name, when the session was last checked, and whether scraped pages have been redirecting to the login page.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "scraper_selfcheck",
+    description: "Run every page scraper (week outline, reading, lecture, quiz, progress, grades) against one course and flag selector drift: scrapers that failed, missed items listed by the API, or scored below the confidence threshold. Items to check are picked from the course outline unless given.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        course_slug: {
+          type: "string",
+          description: "The course slug of a course you're enrolled in.",
+        },
+        reading_id: {
+          type: "string",
+          description: "Reading item ID to check (default: the first unlocked reading).",
+        },
+        lecture_id: {
+          type: "string",
+          description: "Lecture item ID to check (default: the first unlocked lecture).",
+        },
+        quiz_id: {
+          type: "string",
+          description: "Quiz or exam item ID to check (default: the first unlocked one).",
+        },
+      },
+      required: ["course_slug"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "manage_cache",
+    description: "List or clear cached Coursera responses.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["list", "clear"],
+          description: "'list' shows cached entries (default), 'clear' removes them.",
+        },
+        tool: {
+          type: "string",
+          description: "Only list or clear entries cached for this tool.",
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+];
+
+const RESOURCE_SCHEME = "coursera://";
+// Courses per resources/list page
+const RESOURCE_PAGE_SIZE = 50;
+
+const resourceTemplates = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}course/{course_slug}`,
+    name: "course",
+    title: "Coursera course",
+    description: "Course details, full outline (modules, lessons, items) and the URIs of its reading and transcript resources, as JSON.",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}course/{course_slug}/reading/{item_id}`,
+    name: "reading",
+    title: "Coursera reading",
+    description: "A reading/supplement item as Markdown.",
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}course/{course_slug}/lecture/{item_id}/transcript`,
+    name: "lecture-transcript",
+    title: "Coursera lecture transcript",
+    description: "A lecture transcript as timestamped plain text.",
+    mimeType: "text/plain",
+  },
+];
+
+const prompts = [
+  {
+    name: "weekly_study_plan",
+    title: "Weekly study plan",
+    description: "Plan this week's study sessions for a course from its outline and upcoming deadlines.",
+    arguments: [
+      { name: "course_slug", description: "The course slug.", required: true },
+      { name: "hours_per_week", description: "Study hours available this week (optional).", required: false },
+    ],
+  },
+  {
+    name: "summarize_lecture",
+    title: "Summarize lecture",
+    description: "Summarize a lecture from its timestamped transcript.",
+    arguments: [
+      { name: "course_slug", description: "The course slug.", required: true },
+      { name: "item_id", description: "The lecture item ID.", required: true },
+    ],
+  },
+  {
+    name: "quiz_me_on_reading",
+    title: "Quiz me on a reading",
+    description: "Generate practice questions about a reading, one at a time.",
+    arguments: [
+      { name: "course_slug", description: "The course slug.", required: true },
+      { name: "item_id", description: "The reading item ID.", required: true },
+      { name: "question_count", description: "Number of questions (default 5).", required: false },
+    ],
+  },
+  {
+    name: "catch_up_on_overdue",
+    title: "Catch up on overdue work",
+    description: "Prioritize overdue and soon-due items across all enrolled courses.",
+    arguments: [],
+  },
 ];
 
-export function getCourseraConfig() {
-  loadEnv();
-  const cookies = process.env.COURSERA_COOKIES;
-  const cauth = process.env.COURSERA_CAUTH;
+function parseResourceUri(uri) {
+  const match = uri.match(/^coursera:\/\/course\/([^/]+)(?:\/(reading)\/([^/]+)|\/(lecture)\/([^/]+)\/transcript)?\/?$/);
+  if (!match) return null;
+  const [, courseSlug, reading, readingId, lecture, lectureId] = match;
+  if (reading) return { kind: "reading", course_slug: decodeURIComponent(courseSlug), item_id: decodeURIComponent(readingId) };
+  if (lecture) return { kind: "transcript", course_slug: decodeURIComponent(courseSlug), item_id: decodeURIComponent(lectureId) };
+  return { kind: "course", course_slug: decodeURIComponent(courseSlug) };
+}
+
+// Every cached tool accepts a `cache` argument, every browser tool a `timeout_ms`
+// and `debug`
+for (const tool of tools) {
+  if (CACHE_TTLS[tool.name]) {
+    tool.inputSchema.properties.cache = CACHE_PROPERTY;
+  }
+  if (BROWSER_TOOLS.has(tool.name)) {
+    tool.inputSchema.properties.timeout_ms = TIMEOUT_PROPERTY;
+    tool.inputSchema.properties.debug = DEBUG_PROPERTY;
+  }
+}
+
+// Tracks the cache mode of the tool call in progress, so nested lookups follow it
+const cacheContext = new AsyncLocalStorage();
+
+// Shared by every server instance so HTTP sessions reuse each other's responses.
+// Tenants get their own cache (and directory) so responses never cross accounts.
+const sharedCaches = new Map();
+
+function getSharedCache({ enabled, dir }, namespace = "") {
+  if (!enabled) return null;
+  if (!sharedCaches.has(namespace)) {
+    const cacheDir = dir && namespace ? join(dir, "tenants", namespace) : dir;
+    sharedCaches.set(namespace, createCache({ dir: cacheDir }));
+  }
+  return sharedCaches.get(namespace);
+}
+
+export function getCourseraConfig(credentialStore = defaultCredentials) {
+  const credentials = credentialStore.get();
   
-  if (!cookies && !cauth) {
+  if (!credentials) {
     throw new Error(
-      "Missing COURSERA_COOKIES or COURSERA_CAUTH env var. " +
+      "Missing COURSERA_COOKIES, COURSERA_CAUTH or COURSERA_COOKIE_FILE env var. " +
       "You need to extract your session cookies from your browser."
     );
   }
   
+  const capture = loadCaptureConfig();
+  const cache = loadCacheConfig();
   return { 
-    cookies: cookies || `CAUTH=${cauth}`,
-    cauth: cauth || extractCauth(cookies)
+    cookies: credentials.cookies,
+    cauth: credentials.cauth,
+    // Cache hits would never reach the recorder, and replay is local anyway
+    cache: capture ? { ...cache, enabled: false } : cache,
+    browser: loadBrowserConfig(),
+    requests: loadRequestConfig(),
+    capture,
+    scrapeRules: loadScrapeRules(),
   };
 }
 
-function extractCauth(cookies) {
-  if (!cookies) return null;
-  const match = cookies.match(/CAUTH=([^;]+)/);
-  return match ? match[1] : null;
+function loadBrowserConfig() {
+  const maxPages = Number.parseInt(process.env.COURSERA_BROWSER_MAX_PAGES ?? "", 10);
+  const idleSeconds = Number.parseInt(process.env.COURSERA_BROWSER_IDLE_SECONDS ?? "", 10);
+  return {
+    maxPages: Number.isFinite(maxPages) && maxPages > 0 ? maxPages : undefined,
+    idleTimeoutMs: Number.isFinite(idleSeconds) && idleSeconds >= 0 ? idleSeconds * 1000 : undefined,
+  };
 }
 
-export function createCourseraServer() {
-  const { cookies, cauth } = getCourseraConfig();
-  
-  // Browser instance (lazy initialized)
-  let browserPromise = null;
+function readNumberEnv(name, { min = 0 } = {}) {
+  const value = Number(process.env[name] ?? "");
+  return process.env[name] && Number.isFinite(value) && value >= min ? value : undefined;
+}
 
-  const server = new Server(
-    { name: "coursera-mcp", version: "0.2.0" },
-    { capabilities: { tools: {} } }
-  );
+// Limits for Coursera API requests; unset values use the scheduler defaults
+function loadRequestConfig() {
+  return {
+    maxConcurrentPerHost: readNumberEnv("COURSERA_HTTP_MAX_CONCURRENCY", { min: 1 }),
+    ratePerSecond: readNumberEnv("COURSERA_HTTP_RATE_PER_SECOND", { min: 0.01 }),
+    burst: readNumberEnv("COURSERA_HTTP_BURST", { min: 1 }),
+    maxRetries: readNumberEnv("COURSERA_HTTP_MAX_RETRIES"),
+    baseDelayMs: readNumberEnv("COURSERA_HTTP_BACKOFF_MS"),
+    maxDelayMs: readNumberEnv("COURSERA_HTTP_MAX_BACKOFF_MS"),
+    timeoutMs: readNumberEnv("COURSERA_HTTP_TIMEOUT_MS", { min: 1 }),
+  };
+}
 
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+// COURSERA_BASE_URL points the API calls and the browser at another host, such as
+// the stub server the tests run against
+function courseraWebBase() {
+  return (process.env.COURSERA_BASE_URL?.trim() || DEFAULT_COURSERA_BASE_URL).replace(/\/+$/, "");
+}
 
-  // Get or create browser instance
-  async function getBrowser() {
-    if (!browserPromise) {
-      browserPromise = puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
-      });
-    }
-    return browserPromise;
-  }
+function courseraApiBase() {
+  return `${courseraWebBase()}/api`;
+}
 
-  // Create a new page with authentication cookies
-  async function createAuthenticatedPage() {
-    const browser = await getBrowser();
-    const page = await browser.newPage();
-    
-    // Set cookies
-    const cookiesToSet = [];
-    if (cauth) {
-      cookiesToSet.push({
-        name: 'CAUTH',
-        value: cauth,
-        domain: '.coursera.org',
-        path: '/',
-        httpOnly: true,
-        secure: true,
-      });
-    }
-    
-    // Parse additional cookies if provided
-    if (cookies && cookies !== `CAUTH=${cauth}`) {
-      const cookiePairs = cookies.split(';');
-      for (const pair of cookiePairs) {
-        const [name, ...valueParts] = pair.trim().split('=');
-        if (name && valueParts.length > 0) {
-          cookiesToSet.push({
-            name: name.trim(),
-            value: valueParts.join('=').trim(),
-            domain: '.coursera.org',
-            path: '/',
-          });
-        }
-      }
-    }
-    
-    if (cookiesToSet.length > 0) {
-      await page.setCookie(...cookiesToSet);
-    }
-    
-    await page.setUserAgent(USER_AGENT);
-    await page.setViewport({ width: 1280, height: 800 });
-    
-    return page;
-  }
+// Cookies for coursera.org cover its subdomains; any other host gets host-only cookies
+function courseraCookieDomain() {
+  const { hostname } = new URL(courseraWebBase());
+  return /(^|\.)coursera\.org$/.test(hostname) ? ".coursera.org" : hostname;
+}
 
-  // Fetch page content using Puppeteer
-  async function fetchPageContent(url, options = {}) {
-    const { 
-      waitForSelector = '.rc-CML, .rc-SupplementContent, [data-testid="content"], main',
-      timeout = 30000,
-      extractText = true
-    } = options;
-    
-    const page = await createAuthenticatedPage();
-    
-    try {
-      console.log(`Fetching: ${url}`);
-      await page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout 
-      });
-      
-      // Wait for content to load
-      try {
-        await page.waitForSelector(waitForSelector, { timeout: 10000 });
-      } catch (e) {
-        // Content might have different structure, continue anyway
-      }
-      
-      // Additional wait for dynamic content
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Extract content
-      const content = await page.evaluate(() => {
-        // Remove navigation, headers, footers
-        const removeSelectors = [
-          'header', 'footer', 'nav', 
-          '[data-testid="navbar"]',
-          '.rc-CourseHeader',
-          '.rc-LeftNav',
-          '.rc-SidebarLayout__sidebar',
-        ];
-        removeSelectors.forEach(sel => {
-          document.querySelectorAll(sel).forEach(el => el.remove());
-        });
-        
-        // Try to find main content
-        const contentSelectors = [
-          '.rc-CML',
-          '.rc-SupplementContent', 
-          '.rc-ReadingItem',
-          '[data-testid="content"]',
-          '.rc-LectureContent',
-          '.rc-QuizContent',
-          'main',
-          'article',
-          '.rc-ItemPage'
-        ];
-        
-        for (const selector of contentSelectors) {
-          const el = document.querySelector(selector);
-          if (el && el.textContent.trim().length > 50) {
-            return {
-              html: el.innerHTML,
-              text: el.textContent.trim(),
-              selector: selector
-            };
-          }
-        }
-        
-        // Fallback: get body content
-        return {
-          html: document.body.innerHTML,
-          text: document.body.textContent.trim(),
-          selector: 'body'
-        };
-      });
-      
-      // Get page title
-      const title = await page.title();
-      
-      // Get URL (might have redirected)
-      const finalUrl = page.url();
-      
-      return {
-        title,
-        url: finalUrl,
-        content: extractText ? content.text : content.html,
-        html: content.html,
-        foundSelector: content.selector,
-      };
-      
-    } finally {
-      await page.close();
-    }
+// COURSERA_CACHE=off disables caching, COURSERA_CACHE=memory skips the disk
+function loadCacheConfig() {
+  const mode = (process.env.COURSERA_CACHE ?? "").toLowerCase();
+  const enabled = !["0", "false", "off"].includes(mode);
+  const dir = mode === "memory"
+    ? undefined
+    : resolve(process.env.COURSERA_CACHE_DIR || resolve(__dirname, "..", ".cache"));
+
+  const ttls = { ...CACHE_TTLS };
+  for (const tool of Object.keys(ttls)) {
+    const seconds = Number.parseInt(process.env[`COURSERA_CACHE_TTL_${tool.toUpperCase()}`] ?? "", 10);
+    if (Number.isFinite(seconds)) ttls[tool] = seconds * 1000;
   }
+  return { enabled, dir, ttls };
+}
 
-  // Helper for simple API requests
-  async function courseraFetch(url, options = {}) {
-    const headers = {
-      "User-Agent": USER_AGENT,
-      "Cookie": cookies,
-      "Accept": "application/json",
-      ...options.headers,
-    };
+function buildItemUrl(courseSlug, typeName, itemId, itemSlug) {
+  const path = ITEM_TYPES[typeName]?.path || "item";
+  const slug = itemSlug ? `/${itemSlug}` : "";
+  return `${courseraWebBase()}/learn/${courseSlug}/${path}/${itemId}${slug}`;
+}
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
-    });
+function normalizeLevel(value) {
+  if (!value) return null;
+  const level = String(value).toLowerCase();
+  return COURSE_LEVELS.find(l => level.includes(l)) || level;
+}
 
-    if (!response.ok) {
+function normalizeCatalogCourse(element, partnersById) {
+  const isGuidedProject = element.isRhymeProject === true || element.productType === "GUIDED_PROJECT";
+  return {
+    id: element.id,
+    slug: element.slug,
+    name: element.name,
+    product_type: isGuidedProject ? "guided_project" : "course",
+    partners: (element.partnerIds || []).map(id => partnersById.get(id)).filter(Boolean),
+    languages: element.primaryLanguages || [],
+    level: normalizeLevel(element.level ?? element.difficultyLevel),
+    rating: element.averageFiveStarRating ?? element.courseDerivatives?.averageFiveStarRating ?? null,
+    workload: element.workload || null,
+    is_free: typeof element.isFree === "boolean" ? element.isFree : null,
+    url: `${courseraWebBase()}/${isGuidedProject ? "projects" : "learn"}/${element.slug}`,
+    course_ids: [element.id],
+  };
+}
+
+function getSpecializationProductType(specialization) {
+  const isProfessionalCertificate = specialization.productVariant === "ProfessionalCertificate" ||
+    specialization.metadata?.isProfessionalCertificate === true;
+  return isProfessionalCertificate ? "professional_certificate" : "specialization";
+}
+
+function buildSpecializationUrl(slug, productType) {
+  const path = productType === "professional_certificate" ? "professional-certificates" : "specializations";
+  return `${courseraWebBase()}/${path}/${slug}`;
+}
+
+function normalizeCatalogSpecialization(element, partnersById) {
+  const productType = getSpecializationProductType(element);
+  return {
+    id: element.id,
+    slug: element.slug,
+    name: element.name,
+    product_type: productType,
+    partners: (element.partnerIds || []).map(id => partnersById.get(id)).filter(Boolean),
+    languages: element.primaryLanguages || element.metadata?.primaryLanguages || [],
+    level: normalizeLevel(element.level ?? element.metadata?.level),
+    rating: element.averageFiveStarRating ?? null,
+    workload: element.workload ?? element.metadata?.workload ?? null,
+    is_free: typeof element.isFree === "boolean" ? element.isFree : null,
+    url: buildSpecializationUrl(element.slug, productType),
+    course_ids: element.courseIds || [],
+  };
+}
+
+function matchesCatalogFilters(result, filters) {
+  const { language, partner, level, product_type, price } = filters;
+  if (product_type && result.product_type !== product_type) return false;
+  if (level && result.level !== level) return false;
+  if (language) {
+    const wanted = language.toLowerCase();
+    if (!result.languages.some(l => l.toLowerCase().split("-")[0] === wanted.split("-")[0])) return false;
+  }
+  if (partner) {
+    const wanted = partner.toLowerCase();
+    if (!result.partners.some(p => p.toLowerCase().includes(wanted))) return false;
+  }
+  if (price && result.is_free !== (price === "free")) return false;
+  return true;
+}
+
+// Reverse of ITEM_TYPES for item URLs scraped from the page
+function parseItemUrl(url) {
+  const match = url?.match(/\/learn\/[^/]+\/([^/]+)\/([^/?#]+)(?:\/([^/?#]+))?/);
+  if (!match) return { id: null, slug: null, type: "unknown" };
+  const [, path, id, slug] = match;
+  const entry = Object.values(ITEM_TYPES).find(t => t.path === path);
+  return { id, slug: slug || null, type: entry?.type || "unknown" };
+}
+
+function isItemCompleted(item) {
+  return Boolean(
+    item.isCompleted ??
+    item.computedOutcome?.isPassed ??
+    (item.computedProgressState ? item.computedProgressState === "Completed" : undefined)
+  );
+}
+
+function msToMinutes(ms) {
+  return typeof ms === "number" ? Math.round(ms / 60000) : null;
+}
+
+function parsePoints(value) {
+  const match = value?.match(/(\d+(?:\.\d+)?)\s*points?/i);
+  return match ? Number(match[1]) : null;
+}
+
+function durationToMinutes(amount, unit) {
+  const value = Number(amount);
+  return /^h/i.test(unit) ? value * 60 : value;
+}
+
+// Quiz cover pages describe their settings in prose ("Attempts 3 every 8 hours")
+function parseQuizMetadata(text) {
+  const attempts = text.match(/Attempts?\s*:?\s*(\d+|unlimited)(?:\s+every\s+(\d+)\s*(hours?|minutes?|days?))?/i);
+  const passing = text.match(/(?:to pass|passing grade)[^\d%]*(\d+(?:\.\d+)?)\s*%/i);
+  const timeLimit = text.match(/time limit\s*:?\s*(\d+)\s*(hours?|h|minutes?|mins?)/i);
+  const due = text.match(/\bDue\s*:?\s*([A-Z][a-z]{2,8}\s+\d{1,2}(?:,\s*\d{4})?(?:,?\s*\d{1,2}:\d{2}\s*(?:AM|PM)?)?(?:\s*[A-Z]{2,5}\b)?)/);
+
+  return {
+    attempts: attempts ? {
+      allowed: /unlimited/i.test(attempts[1]) ? null : Number(attempts[1]),
+      unlimited: /unlimited/i.test(attempts[1]),
+      window: attempts[2] ? `${attempts[2]} ${attempts[3]}` : null,
+    } : null,
+    passing_grade_percent: passing ? Number(passing[1]) : null,
+    time_limit_minutes: timeLimit ? durationToMinutes(timeLimit[1], timeLimit[2]) : null,
+    due: due ? due[1].trim() : null,
+    due_at: due ? parseDueText(due[1]) : null,
+  };
+}
+
+// Due dates on the page omit the year when it's the current one
+function parseDueText(value) {
+  const withYear = /\d{4}/.test(value)
+    ? value
+    : value.replace(/^([A-Z][a-z]+\s+\d{1,2})/, `$1, ${new Date().getFullYear()}`);
+  const time = parseTimestamp(withYear);
+  return time === null ? null : new Date(time).toISOString();
+}
+
+// Exact match first, then by base language ("en" matches "en-US" and vice versa)
+function selectLanguage(available, requested) {
+  if (available.length === 0) return null;
+  if (!requested) {
+    return available.find(l => l === "en") || available.find(l => l.startsWith("en")) || available[0];
+  }
+  const wanted = requested.toLowerCase();
+  return available.find(l => l.toLowerCase() === wanted) ||
+    available.find(l => l.toLowerCase().split("-")[0] === wanted.split("-")[0]) ||
+    null;
+}
+
+function parseTimecode(value) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+  if (!match) return null;
+  const [, hours = 0, minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, "0")) / 1000;
+}
+
+// Parses WebVTT or SRT into { start, end, text } cues with times in seconds
+function parseSubtitles(content) {
+  const cues = [];
+  for (const block of content.replace(/\r/g, "").split(/\n{2,}/)) {
+    const lines = block.split("\n").filter(Boolean);
+    const timingIdx = lines.findIndex(line => line.includes("-->"));
+    if (timingIdx === -1) continue;
+
+    const [startText, endText] = lines[timingIdx].split("-->");
+    const start = parseTimecode(startText);
+    // VTT cue settings may follow the end time
+    const end = parseTimecode(endText.trim().split(/\s+/)[0]);
+    if (start === null || end === null) continue;
+
+    const text = lines.slice(timingIdx + 1).join(" ").replace(/<[^>]+>/g, "").trim();
+    if (text) cues.push({ start, end, text });
+  }
+  return cues;
+}
+
+function formatTimestamp(seconds, vtt = false) {
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (vtt) {
+    const millis = Math.round((seconds - total) * 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(millis, 3)}`;
+  }
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+}
+
+function formatTranscript(cues, format) {
+  if (format === "vtt") {
+    const body = cues.map(cue => `${formatTimestamp(cue.start, true)} --> ${formatTimestamp(cue.end, true)}\n${cue.text}`);
+    return { vtt: ["WEBVTT", ...body].join("\n\n") + "\n" };
+  }
+  if (format === "text") {
+    return { text: cues.map(cue => `[${formatTimestamp(cue.start)}] ${cue.text}`).join("\n") };
+  }
+  return {
+    cues: cues.map(cue => ({ ...cue, timestamp: formatTimestamp(cue.start) })),
+  };
+}
+
+// The grades API reports grades, weights and passing scores as fractions of 1
+// (0.8), where pages show "80%". A 1% score is 0.01, so never guess from the value.
+function fractionToPercent(value) {
+  if (typeof value !== "number") return null;
+  return Math.round(value * 100 * 100) / 100;
+}
+
+function parsePercent(text) {
+  const match = text?.match(/(\d+(?:\.\d+)?)\s*%/);
+  return match ? Number(match[1]) : null;
+}
+
+// Render scraped HTML in the requested output format
+function formatPageContent({ html, text }, format, baseUrl) {
+  if (format === "html") return { content: html };
+  if (format === "text") return { content: text };
+  const { markdown, images, attachments } = htmlToMarkdown(html, baseUrl);
+  return { content: markdown, images, attachments };
+}
+
+// Coursera returns timestamps as epoch milliseconds; user input is ISO 8601
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const time = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+// Merge ranked lists by taking one from each in turn, so every kind of result
+// shows up near the top
+function interleave(lists) {
+  const merged = [];
+  for (let index = 0; lists.some(list => index < list.length); index++) {
+    for (const list of lists) {
+      if (index < list.length) merged.push(list[index]);
+    }
+  }
+  return merged;
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// The session cookie only goes to Coursera itself (or the configured base URL's
+// origin); subtitle and video URLs can point at CDNs and other hosts
+function isCourseraUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  return parsed.origin === new URL(courseraWebBase()).origin || /(^|\.)coursera\.org$/.test(parsed.hostname);
+}
+
+// Helper for simple API requests; rate limited and retried by the shared scheduler.
+// With COURSERA_RECORD/COURSERA_REPLAY, `capture` records or answers each request.
+function createCourseraFetch(getCookies, scheduler, capture) {
+  const send = capture ? capture.wrapFetch(scheduler.fetch) : scheduler.fetch;
+  return async function courseraFetch(url, options = {}) {
+    const headers = {
+      "User-Agent": USER_AGENT,
+      ...(isCourseraUrl(url) && { "Cookie": getCookies() }),
+      "Accept": "application/json",
+      ...options.headers,
+    };
+
+    const response = await send(url, {
+      ...options,
+      headers,
+    });
+
+    if (!response.ok) {
       const text = await response.text();
-      throw new Error(`Coursera API error ${response.status}: ${text.slice(0, 500)}`);
+      throw errorFromResponse(response.status, text);
     }
 
     const contentType = response.headers.get("content-type");
     if (contentType?.includes("application/json")) {
-      return response.json();
+      try {
+        return await response.json();
+      } catch (error) {
+        throw new CourseraError("upstream_changed", `Invalid JSON from ${url}: ${error.message}`, { cause: error });
+      }
     }
     return response.text();
+  };
+}
+
+// Partial failures show up as `error`, `errors` or `<part>_error` fields
+function hasErrorFields(value) {
+  return !!value && typeof value === "object" && Object.keys(value).some(key => /(^|_)errors?$/.test(key));
+}
+
+// Idle pages and session health are tracked per cookie set
+function sessionKey(cookies) {
+  return createHash("sha256").update(cookies).digest("hex");
+}
+
+// Ask Coursera who the cookies belong to and record the answer
+async function checkSession(courseraFetch, key) {
+  try {
+    const profile = await courseraFetch(`${courseraApiBase()}/externalBasicProfiles.v1?q=me&fields=name`);
+    const me = profile?.elements?.[0];
+    if (!me) {
+      throw new CourseraError("auth_expired", "Coursera returned no profile for this session");
+    }
+    recordSessionCheck(key, { valid: true, user_id: me.userId ?? me.id ?? null, name: me.name ?? null });
+  } catch (error) {
+    const normalized = toCourseraError(error);
+    // Only an auth failure says the cookie is bad; anything else, a 403 included,
+    // leaves it unknown
+    const valid = normalized.code === "auth_expired" ? false : null;
+    recordSessionCheck(key, { valid, error: normalized.toJSON() });
+  }
+  return getSessionStatus(key);
+}
+
+// Session check for callers outside an MCP session (e.g. /health). Reuses a check
+// made within `maxAgeMs`; pass 0 to always ask Coursera.
+export async function checkCourseraSession({
+  maxAgeMs = SESSION_CHECK_MAX_AGE_MS,
+  credentials = defaultCredentials,
+} = {}) {
+  const { cookies, requests, capture } = getCourseraConfig(credentials);
+  const key = sessionKey(cookies);
+  if (!isSessionCheckStale(key, maxAgeMs)) {
+    return getSessionStatus(key);
   }
+  return checkSession(createCourseraFetch(() => cookies, getRequestScheduler(requests), getCapture(capture)), key);
+}
 
-  // Tool implementations
-  async function listEnrollments(args = {}) {
-    const limit = args.limit || DEFAULT_PER_PAGE;
+const evictingStores = new WeakSet();
+
+// Idle pages hold the old cookies; drop them so the next request sets up fresh ones
+function evictPagesOnChange(credentialStore, browserPool) {
+  if (evictingStores.has(credentialStore)) return;
+  evictingStores.add(credentialStore);
+  credentialStore.onChange((next, previous) => {
+    if (!previous) return;
+    browserPool.evict(sessionKey(previous.cookies)).catch(() => {});
+  });
+}
+
+// A tenant removed from the tenants file leaves its cached responses, idle pages
+// and browser context behind; drop them
+export async function forgetTenant(tenant) {
+  sharedCaches.delete(tenant.id);
+  const cookies = tenant.credentials.get()?.cookies;
+  if (cookies) {
+    await evictFromBrowserPool(sessionKey(cookies));
+  }
+}
+
+// One server per MCP session. In multi-tenant mode `tenant` ({ id, credentials })
+// supplies the Coursera cookies and the cache namespace.
+export function createCourseraServer({ tenant } = {}) {
+  const credentialStore = tenant?.credentials ?? defaultCredentials;
+  const {
+    cache: cacheConfig,
+    browser: browserConfig,
+    requests: requestConfig,
+    capture: captureConfig,
+    scrapeRules,
+  } = getCourseraConfig(credentialStore);
+  const cache = getSharedCache(cacheConfig, tenant?.id);
+  const capture = getCapture(captureConfig);
+  const browserPool = getBrowserPool(browserConfig);
+  evictPagesOnChange(credentialStore, browserPool);
+  // Read the credentials on every use so rotated cookies reach open sessions
+  const currentCookies = () => credentialStore.get().cookies;
+  const courseraFetch = createCourseraFetch(currentCookies, getRequestScheduler(requestConfig), capture);
+  // Idle pages are only reused by requests with the same cookies
+  const currentPageKey = () => sessionKey(currentCookies());
+
+  const server = new Server(
+    { name: "coursera-mcp", version: "0.2.0" },
+    { capabilities: { tools: {}, resources: {}, prompts: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+
+  // Check out a pooled page with authentication cookies; hand it back with releasePage
+  async function createAuthenticatedPage() {
+    return browserPool.acquire(currentPageKey(), setupAuthenticatedPage);
+  }
+
+  async function releasePage(page) {
+    await browserPool.release(page);
+  }
+
+  async function setupAuthenticatedPage(page) {
+    const { cookies, cauth } = credentialStore.get();
+    const domain = courseraCookieDomain();
+
+    // Set cookies
+    const cookiesToSet = [];
+    if (cauth) {
+      cookiesToSet.push({
+        name: 'CAUTH',
+        value: cauth,
+        domain,
+        path: '/',
+        httpOnly: true,
+        secure: courseraWebBase().startsWith("https:"),
+      });
+    }
+    
+    // Parse additional cookies if provided
+    if (cookies && cookies !== `CAUTH=${cauth}`) {
+      const cookiePairs = cookies.split(';');
+      for (const pair of cookiePairs) {
+        const [name, ...valueParts] = pair.trim().split('=');
+        if (name && valueParts.length > 0) {
+          cookiesToSet.push({
+            name: name.trim(),
+            value: valueParts.join('=').trim(),
+            domain,
+            path: '/',
+          });
+        }
+      }
+    }
+    
+    if (cookiesToSet.length > 0) {
+      await page.setCookie(...cookiesToSet);
+    }
+    
+    await page.setUserAgent(USER_AGENT);
+    await page.setViewport({ width: 1280, height: 800 });
+    await capture?.preparePage(page);
+  }
+
+  // Navigate and wait for readiness, failing with auth_expired if Coursera bounced
+  // us to the login page instead of the requested one
+  async function gotoPage(page, url, options) {
+    const recording = capture?.recordPage(page, url, currentCookies());
+    let timing;
+    try {
+      timing = await gotoWhenReady(page, url, {
+        ...options,
+        stopSelector: LOGIN_FORM_SELECTOR,
+        stopUrl: LOGIN_URL_PATTERN,
+      });
+    } finally {
+      // Snapshot what the scraper is about to see, login redirects included
+      await recording?.finish();
+    }
+    const finalUrl = page.url();
+    const loginRedirect = !!timing.stopped || LOGIN_URL_PATTERN.test(finalUrl);
+    recordPageLoad(currentPageKey(), { url, loginRedirect });
+    if (loginRedirect) {
+      throw new CourseraError(
+        "auth_expired",
+        `Redirected to the Coursera login page (${finalUrl}) while loading ${url}`
+      );
+    }
+    return timing;
+  }
+
+  // Fetch page content using Puppeteer
+  async function fetchPageContent(url, options = {}) {
+    const { 
+      pageType = "page",
+      timeout = DEFAULT_PAGE_TIMEOUT_MS,
+      format = DEFAULT_CONTENT_FORMAT,
+      debug = false,
+    } = options;
+    
+    const started = Date.now();
+    const page = await createAuthenticatedPage();
     
     try {
-      // Get memberships (includes degree programs)
-      const membershipsUrl = `${COURSERA_API_BASE}/memberships.v1?q=me&includes=programs,courses&limit=${limit}`;
-      const memberships = await courseraFetch(membershipsUrl).catch(() => null);
+      // Content might have a different structure than expected; scrape whatever rendered
+      const rule = scrapeRules[pageType];
+      const pageTiming = await gotoPage(page, url, { ...pageReadiness(rule), timeout });
       
-      // Get program memberships (for degree programs)
-      const userId = memberships?.elements?.[0]?.userId;
-      let programs = null;
-      if (userId) {
-        const programsUrl = `${COURSERA_API_BASE}/programMemberships.v2?q=byUser&userId=${userId}`;
-        programs = await courseraFetch(programsUrl).catch(() => null);
-      }
+      // Drop navigation, headers and footers, then find the main content
+      const { values, matched } = await extractFields(page, rule);
+      const content = { html: values.content?.html ?? "", text: values.content?.text ?? "" };
+      
+      // Get page title
+      const title = await page.title();
+      
+      // Get URL (might have redirected)
+      const finalUrl = page.url();
       
-      // Get course details for enrolled courses
-      const courseIds = memberships?.elements?.map(m => m.courseId).filter(Boolean) || [];
-      let courses = [];
-      if (courseIds.length > 0) {
-        const coursesUrl = `${COURSERA_API_BASE}/onDemandCourses.v1?ids=${courseIds.join(',')}&fields=id,name,slug,description`;
-        const coursesResponse = await courseraFetch(coursesUrl).catch(() => null);
-        courses = coursesResponse?.elements || [];
-      }
-
       return {
-        memberships: memberships?.elements || [],
-        programs: programs?.elements || [],
-        courses,
-        user_id: userId,
-      };
-    } catch (error) {
-      return { 
-        error: error.message,
-        hint: "Try refreshing your CAUTH cookie from the browser"
+        title,
+        url: finalUrl,
+        format,
+        ...formatPageContent(content, format, finalUrl),
+        foundSelector: matched.content,
+        diagnostics: diagnose(pageType, {
+          content: ruleField(rule, matched, "content", content.text, 3),
+          title: { value: title },
+        }),
+        timing: summarizeTimings(started, [pageTiming]),
+        ...(debug && { debug: [await snapshotPage(page)] }),
       };
+      
+    } finally {
+      await releasePage(page);
+    }
+  }
+
+  // Run a tool with its response cached for the tool's TTL. 'bypass' neither reads
+  // nor writes the cache, 'refresh' skips the read but stores the new result.
+  async function withCache(name, args, fn) {
+    const { cache: requestedMode, ...toolArgs } = args;
+    const mode = requestedMode ?? cacheContext.getStore()?.mode ?? "default";
+    const run = () => cacheContext.run({ mode }, () => fn(toolArgs));
+
+    // Screenshots and DOM dumps are only useful fresh
+    const ttlMs = cacheConfig.ttls[name];
+    if (!cache || !ttlMs || toolArgs.debug) return run();
+
+    // Keyed by account too, so rotated cookies never see the last account's data
+    const key = `${cacheKeyPrefix()}${name}:${stableStringify(toolArgs)}`;
+    if (mode === "default") {
+      const entry = await cache.get(key);
+      if (entry) return entry.value;
+    }
+
+    const value = await run();
+    // Tools that report failures in the result shouldn't pin them in the cache
+    if (mode !== "bypass" && !hasErrorFields(value)) {
+      await cache.set(key, withoutTiming(value), { ttlMs, tool: name });
+    }
+    return value;
+  }
+
+  // A hit takes no time, so the original latencies would only mislead
+  function withoutTiming(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+    const { timing, ...rest } = value;
+    return rest;
+  }
+
+  function cacheKeyPrefix() {
+    return `${currentPageKey().slice(0, 16)}:`;
+  }
+
+  // Tool implementations
+  async function authStatus() {
+    return checkSession(courseraFetch, currentPageKey());
+  }
+
+  async function listEnrollments(args = {}) {
+    const limit = args.limit || DEFAULT_PER_PAGE;
+    
+    // Get memberships (includes degree programs)
+    const membershipsUrl = `${courseraApiBase()}/memberships.v1?q=me&includes=programs,courses&limit=${limit}`;
+    const memberships = await courseraFetch(membershipsUrl);
+    
+    // Get program memberships (for degree programs); most learners have none
+    const userId = memberships?.elements?.[0]?.userId;
+    let programs = null;
+    if (userId) {
+      const programsUrl = `${courseraApiBase()}/programMemberships.v2?q=byUser&userId=${userId}`;
+      programs = await courseraFetch(programsUrl).catch(ignoreErrors(["forbidden", "not_found"]));
     }
+    
+    // Get course details for enrolled courses
+    const courseIds = memberships?.elements?.map(m => m.courseId).filter(Boolean) || [];
+    let courses = [];
+    if (courseIds.length > 0) {
+      const coursesUrl = `${courseraApiBase()}/onDemandCourses.v1?ids=${courseIds.join(',')}&fields=id,name,slug,description`;
+      const coursesResponse = await courseraFetch(coursesUrl);
+      courses = coursesResponse?.elements || [];
+    }
+
+    return {
+      memberships: memberships?.elements || [],
+      programs: programs?.elements || [],
+      courses,
+      user_id: userId,
+    };
   }
 
   async function getCourse(args) {
     const { course_slug } = args;
     
-    const url = `${COURSERA_API_BASE}/onDemandCourses.v1?q=slug&slug=${encodeURIComponent(course_slug)}&fields=id,name,slug,description,primaryLanguages,instructorIds,partnerIds,workload,photoUrl`;
+    const url = `${courseraApiBase()}/onDemandCourses.v1?q=slug&slug=${encodeURIComponent(course_slug)}&fields=id,name,slug,description,primaryLanguages,instructorIds,partnerIds,workload,photoUrl`;
     
     const response = await courseraFetch(url);
     const course = response?.elements?.[0];
     
     if (!course) {
-      throw new Error(`Course not found: ${course_slug}`);
+      throw new CourseraError("not_found", `Course not found: ${course_slug}`);
     }
 
     return course;
   }
 
+  // memberships.v1?q=me comes back empty for logged-out sessions
+  function missingUserError() {
+    return new CourseraError(
+      "auth_expired",
+      "Could not determine the Coursera user. The session may have expired, or the account has no enrollments."
+    );
+  }
+
+  async function getUserId() {
+    const membershipsUrl = `${courseraApiBase()}/memberships.v1?q=me&limit=1`;
+    const memberships = await courseraFetch(membershipsUrl);
+    return memberships?.elements?.[0]?.userId ?? null;
+  }
+
+  // Per-user week cards carry week numbers, deadlines and item progress
+  async function getWeekCards(userId, courseId) {
+    const url = `${courseraApiBase()}/guidedCourseWeekCards.v1?ids=${userId}~${courseId}&fields=courseId,id,weeks`;
+    const response = await courseraFetch(url);
+    return response?.elements?.[0]?.weeks || [];
+  }
+
+  async function getOutlineFromApi(course_slug) {
+    const url = `${courseraApiBase()}/onDemandCourseMaterials.v2/?q=slug&slug=${encodeURIComponent(course_slug)}` +
+      `&includes=modules,lessons,items&showLockedItems=true` +
+      `&fields=moduleIds,onDemandCourseMaterialModules.v1(name,slug,description,timeCommitment,lessonIds,optional)` +
+      `,onDemandCourseMaterialLessons.v1(name,slug,timeCommitment,itemIds,optional)` +
+      `,onDemandCourseMaterialItems.v2(name,slug,timeCommitment,contentSummary,isLocked,itemLockedReasonCode)`;
+    const response = await courseraFetch(url);
+    const material = response?.elements?.[0];
+    if (!material?.moduleIds?.length) {
+      throw new CourseraError("not_found", `No course materials found for: ${course_slug}`);
+    }
+
+    const byId = (name) => new Map((response.linked?.[name] || []).map(el => [el.id, el]));
+    const modulesById = byId("onDemandCourseMaterialModules.v1");
+    const lessonsById = byId("onDemandCourseMaterialLessons.v1");
+    const itemsById = byId("onDemandCourseMaterialItems.v2");
+
+    // Progress and week numbers are per-user; the outline is still useful without them
+    const weekByModuleId = new Map();
+    const progressByItemId = new Map();
+    try {
+      const userId = await getUserId();
+      const weeks = userId ? await getWeekCards(userId, material.id) : [];
+      weeks.forEach((week, idx) => {
+        for (const mod of week.modules || []) {
+          weekByModuleId.set(mod.id, week.weekNumber ?? idx + 1);
+          for (const item of mod.items || []) {
+            progressByItemId.set(item.id, item);
+          }
+        }
+      });
+    } catch (error) {
+      // Fall through with unknown completion state.
+      ignoreErrors(["forbidden", "not_found"])(error);
+    }
+
+    const modules = material.moduleIds.map((moduleId, idx) => {
+      const mod = modulesById.get(moduleId) || { id: moduleId };
+      const lessons = (mod.lessonIds || []).map((lessonId) => {
+        const lesson = lessonsById.get(lessonId) || { id: lessonId };
+        const items = (lesson.itemIds || []).map((itemId) => {
+          const item = itemsById.get(itemId) || { id: itemId };
+          const typeName = item.contentSummary?.typeName;
+          const progress = progressByItemId.get(itemId);
+          return {
+            id: itemId,
+            slug: item.slug || null,
+            name: item.name || null,
+            type: ITEM_TYPES[typeName]?.type || typeName || "unknown",
+            url: buildItemUrl(course_slug, typeName, itemId, item.slug),
+            duration_minutes: msToMinutes(item.timeCommitment),
+            locked: Boolean(item.isLocked || item.itemLockedReasonCode),
+            completed: progress ? isItemCompleted(progress) : null,
+          };
+        });
+        return {
+          id: lessonId,
+          name: lesson.name || null,
+          duration_minutes: msToMinutes(lesson.timeCommitment),
+          items,
+        };
+      });
+      return {
+        id: moduleId,
+        slug: mod.slug || null,
+        name: mod.name || `Module ${idx + 1}`,
+        week: weekByModuleId.get(moduleId) ?? idx + 1,
+        optional: Boolean(mod.optional),
+        duration_minutes: msToMinutes(mod.timeCommitment),
+        lessons,
+      };
+    });
+
+    return { course_id: material.id, modules };
+  }
+
+  // Scrape a single week page; each lesson container becomes a lesson
+  async function scrapeWeekPage(page, course_slug, week, { timeout, debug } = {}) {
+    const url = `${courseraWebBase()}/learn/${course_slug}/home/week/${week}`;
+    const rule = scrapeRules.week;
+    const timing = await gotoPage(page, url, { ...pageReadiness(rule), timeout });
+
+    const { values, matched } = await extractFields(page, rule);
+    // The fallback takes every item link on the page as one lesson
+    const lessonsFound = matched.lessons !== fieldRule(rule, "lessons").fallback;
+    const lessons = values.lessons
+      .map((lesson, idx) => ({
+        name: lessonsFound ? lesson.name || `Lesson ${idx + 1}` : "All Items",
+        items: lesson.items.map(item => {
+          const label = `${item.label || ''} ${item.text || ''}`.toLowerCase();
+          return {
+            name: item.name || item.text,
+            url: item.url,
+            locked: label.includes('locked'),
+            completed: label.includes('completed') ? true : null,
+          };
+        }),
+      }))
+      .filter(lesson => lesson.items.length > 0);
+
+    const weekNumbers = values.week_links
+      .map(href => Number.parseInt(href?.match(/\/home\/week\/(\d+)/)?.[1], 10))
+      .filter(Number.isFinite);
+    const items = lessons.flatMap(lesson => lesson.items);
+    return {
+      title: values.title,
+      lessons,
+      week_count: weekNumbers.length > 0 ? Math.max(...weekNumbers) : 1,
+      url,
+      timing,
+      diagnostics: diagnose("week", {
+        title: ruleField(rule, matched, "title", values.title),
+        lessons: ruleField(rule, matched, "lessons", lessons),
+        lesson_names: ruleField(
+          rule,
+          matched,
+          "lessons.name",
+          lessonsFound ? values.lessons.map(lesson => lesson.name).filter(Boolean) : null,
+          0.5
+        ),
+        items: ruleField(rule, matched, "lessons.items", items, 3),
+        item_names: ruleField(rule, matched, "lessons.items.name", items.map(item => item.name).filter(Boolean)),
+      }),
+      ...(debug && { debug: [await snapshotPage(page)] }),
+    };
+  }
+
+  async function getOutlineFromBrowser(course_slug, { timeout, debug } = {}) {
+    const started = Date.now();
+    const page = await createAuthenticatedPage();
+
+    try {
+      const modules = [];
+      const pageTimings = [];
+      const reports = [];
+      const snapshots = [];
+      let weekCount = 1;
+      for (let week = 1; week <= weekCount; week++) {
+        const scraped = await scrapeWeekPage(page, course_slug, week, { timeout, debug });
+        pageTimings.push(scraped.timing);
+        reports.push(scraped.diagnostics);
+        snapshots.push(...scraped.debug ?? []);
+        weekCount = Math.max(weekCount, scraped.week_count);
+        modules.push({
+          id: null,
+          slug: null,
+          name: scraped.title || `Week ${week}`,
+          week,
+          optional: false,
+          duration_minutes: null,
+          lessons: scraped.lessons.map(lesson => ({
+            id: null,
+            name: lesson.name,
+            duration_minutes: null,
+            items: [...new Map(lesson.items.map(item => [item.url, item])).values()].map(item => ({
+              ...parseItemUrl(item.url),
+              name: item.name,
+              url: item.url,
+              duration_minutes: null,
+              locked: item.locked,
+              completed: item.completed,
+            })),
+          })),
+        });
+      }
+      if (!modules.some(module => module.lessons.some(lesson => lesson.items.length > 0))) {
+        throw new CourseraError("scrape_failed", `No course items found on the week pages of: ${course_slug}`);
+      }
+      return {
+        course_id: null,
+        modules,
+        diagnostics: combineDiagnostics(reports),
+        timing: summarizeTimings(started, pageTimings),
+        ...(debug && { debug: snapshots }),
+      };
+    } finally {
+      await releasePage(page);
+    }
+  }
+
+  // Full course tree: module -> lesson -> item, API first with a browser fallback
+  async function getCourseOutline(course_slug, { timeout = DEFAULT_PAGE_TIMEOUT_MS, debug } = {}) {
+    const started = Date.now();
+    try {
+      const outline = await getOutlineFromApi(course_slug);
+      return { source: "api", ...outline, timing: summarizeTimings(started, []) };
+    } catch (error) {
+      const apiError = toCourseraError(error);
+      // The browser uses the same cookies, so an expired session fails there too
+      if (apiError.code === "auth_expired") throw apiError;
+      const outline = await getOutlineFromBrowser(course_slug, { timeout, debug });
+      return { source: "browser", api_error: apiError.toJSON(), ...outline };
+    }
+  }
+
+  function withItemCounts(course_slug, outline) {
+    const items = outline.modules.flatMap(m => m.lessons.flatMap(l => l.items));
+    return {
+      course_slug,
+      ...outline,
+      item_count: items.length,
+      completed_count: items.filter(item => item.completed).length,
+    };
+  }
+
   async function listCourseMaterials(args) {
-    const { course_slug } = args;
+    const { course_slug, timeout_ms, debug } = args;
+    const outline = await getCourseOutline(course_slug, { timeout: timeout_ms, debug });
+    return withItemCounts(course_slug, outline);
+  }
+
+  // What list_course_materials returns when the API answers, without its browser
+  // fallback; a failure throws and leaves nothing cached
+  async function listCourseMaterialsFromApi({ course_slug }) {
+    const outline = await getOutlineFromApi(course_slug);
+    return withItemCounts(course_slug, { source: "api", ...outline });
+  }
+
+  async function getPageContent(args) {
+    const { url, format, timeout_ms, debug } = args;
     
-    // Use browser to get course materials page
-    const url = `https://www.coursera.org/learn/${course_slug}/home/week/1`;
+    if (!isCourseraUrl(url)) {
+      throw new CourseraError("invalid_argument", 'URL must be a Coursera URL');
+    }
     
-    const page = await createAuthenticatedPage();
+    return fetchPageContent(url, { format, timeout: timeout_ms, debug });
+  }
+
+  // The item's name, type and URL from the course outline, for content fetched
+  // without rendering its page. Shares list_course_materials' cache entry, so a
+  // run of item reads fetches the outline once.
+  async function findOutlineItem(course_slug, item_id) {
+    const outline = await withCache("list_course_materials", { course_slug }, listCourseMaterialsFromApi);
+    for (const mod of outline.modules) {
+      for (const lesson of mod.lessons) {
+        const item = lesson.items.find(candidate => candidate.id === item_id);
+        if (item) return item;
+      }
+    }
+    return null;
+  }
+
+  // Outline metadata is a nice-to-have next to the content itself
+  async function findOutlineItemOrNull(course_slug, item_id) {
+    try {
+      return await findOutlineItem(course_slug, item_id);
+    } catch (error) {
+      const normalized = toCourseraError(error);
+      if (normalized.code === "auth_expired") throw normalized;
+      return null;
+    }
+  }
+
+  // Reading content from the supplement API, whose CML assets are what the page renders
+  async function getReadingFromApi(args) {
+    const { course_slug, item_id, item_name, format = DEFAULT_CONTENT_FORMAT } = args;
+    const started = Date.now();
+    const { id: courseId } = await withCache("get_course", { course_slug }, getCourse);
+    const url = `${courseraApiBase()}/onDemandSupplements.v1/${courseId}~${item_id}` +
+      `?includes=asset&fields=openCourseAssets.v1(typeName),openCourseAssets.v1(definition)`;
+    const [response, item] = await Promise.all([
+      courseraFetch(url),
+      findOutlineItemOrNull(course_slug, item_id),
+    ]);
+
+    const cml = (response?.linked?.["openCourseAssets.v1"] || [])
+      .filter(asset => asset.typeName === "cml" && asset.definition?.value)
+      .map(asset => asset.definition.value);
+    if (cml.length === 0) {
+      throw new CourseraError("upstream_changed", `No CML content in the supplement for ${item_id}`);
+    }
+
+    const pageUrl = item?.url || `${courseraWebBase()}/learn/${course_slug}/supplement/${item_id}/${item_name || 'reading'}`;
+    const content = renderCml(cml.join(""));
+    return {
+      course_slug,
+      item_id,
+      source: "api",
+      title: item?.name ?? null,
+      url: pageUrl,
+      format,
+      ...formatPageContent(content, format, pageUrl),
+      diagnostics: diagnose("reading", {
+        content: { value: content.text, matched: "api", weight: 3 },
+        title: { value: item?.name, matched: item ? "api" : null },
+      }),
+      timing: summarizeTimings(started, []),
+    };
+  }
+
+  async function getReadingFromBrowser(args) {
+    const { course_slug, item_id, item_name, format, timeout_ms, debug } = args;
     
+    // Construct URL
+    const slug = item_name || 'reading';
+    const url = `${courseraWebBase()}/learn/${course_slug}/supplement/${item_id}/${slug}`;
+    
+    const result = await fetchPageContent(url, {
+      format,
+      pageType: "reading",
+      timeout: timeout_ms,
+      debug,
+    });
+    
+    return {
+      course_slug,
+      item_id,
+      ...result
+    };
+  }
+
+  // API first; the page is rendered only if the API has no content for the item.
+  // `debug` is about what the scraper sees, so it always renders the page.
+  async function getReading(args) {
+    let apiError;
+    if (!args.debug) {
+      try {
+        return await getReadingFromApi(args);
+      } catch (error) {
+        apiError = toCourseraError(error);
+        if (apiError.code === "auth_expired") throw apiError;
+      }
+    }
+    const { course_slug, item_id, ...result } = await getReadingFromBrowser(args);
+    return {
+      course_slug,
+      item_id,
+      source: "browser",
+      ...(apiError && { api_error: apiError.toJSON() }),
+      ...result,
+    };
+  }
+
+  // Subtitle tracks keyed by language code and the highest resolution MP4, from the
+  // lecture video API. null if the lecture has no video.
+  async function getLectureVideo(course_slug, item_id) {
+    const { id: courseId } = await withCache("get_course", { course_slug }, getCourse);
+    const url = `${courseraApiBase()}/onDemandLectureVideos.v1/${courseId}~${item_id}?includes=video&fields=onDemandVideos.v1(sources,subtitles,subtitlesVtt,subtitlesTxt)`;
+    const response = await courseraFetch(url);
+    const video = response?.linked?.["onDemandVideos.v1"]?.[0];
+    if (!video) return null;
+
+    const tracks = video.subtitlesVtt || video.subtitles || {};
+    const [best] = Object.entries(video.sources?.byResolution || {})
+      .sort(([a], [b]) => Number.parseInt(b, 10) - Number.parseInt(a, 10));
+    const videoUrl = best?.[1]?.mp4VideoUrl;
+    return {
+      tracks: Object.fromEntries(
+        Object.entries(tracks).map(([language, src]) => [language, new URL(src, courseraWebBase()).href])
+      ),
+      video_url: videoUrl ? new URL(videoUrl, courseraWebBase()).href : null,
+    };
+  }
+
+  async function getTranscript(tracks, language, format) {
+    const availableLanguages = Object.keys(tracks);
+    const selected = selectLanguage(availableLanguages, language);
+    if (!selected) {
+      return {
+        language: null,
+        available_languages: availableLanguages,
+        error: language
+          ? `No subtitles in '${language}'. Available: ${availableLanguages.join(', ') || 'none'}`
+          : 'No subtitles available for this lecture',
+      };
+    }
+
+    const subtitles = await courseraFetch(tracks[selected], { headers: { "Accept": "text/vtt, text/plain, */*" } });
+    const cues = parseSubtitles(String(subtitles));
+
+    return {
+      language: selected,
+      available_languages: availableLanguages,
+      source: "subtitles",
+      format,
+      ...formatTranscript(cues, format),
+    };
+  }
+
+  // Lecture details from the outline and the video API, with the transcript from
+  // the subtitle track. Lectures without subtitle tracks are left to the page.
+  async function getLectureFromApi(args) {
+    const { course_slug, item_id, item_name, language, transcript_format = "cues" } = args;
+    const started = Date.now();
+    const [video, item] = await Promise.all([
+      getLectureVideo(course_slug, item_id),
+      findOutlineItemOrNull(course_slug, item_id),
+    ]);
+    if (!video || Object.keys(video.tracks).length === 0) {
+      throw new CourseraError("not_found", `No subtitle tracks for lecture ${item_id} in the video API`);
+    }
+
+    const transcript = await getTranscript(video.tracks, language, transcript_format);
+    return {
+      course_slug,
+      item_id,
+      url: item?.url || `${courseraWebBase()}/learn/${course_slug}/lecture/${item_id}/${item_name || 'lecture'}`,
+      source: "api",
+      title: item?.name ?? null,
+      duration_minutes: item?.duration_minutes ?? null,
+      video_url: video.video_url,
+      transcript,
+      diagnostics: diagnose("lecture", {
+        title: { value: item?.name, matched: item ? "api" : null, weight: 2 },
+        subtitle_tracks: { value: video.tracks, matched: "api" },
+        transcript: { value: transcript.source && transcript, matched: transcript.source ?? null, weight: 3 },
+      }),
+      timing: summarizeTimings(started, []),
+    };
+  }
+
+  async function getLectureFromBrowser(args) {
+    const { course_slug, item_id, item_name, language, transcript_format = "cues", timeout_ms, debug } = args;
+
+    const slug = item_name || 'lecture';
+    const url = `${courseraWebBase()}/learn/${course_slug}/lecture/${item_id}/${slug}`;
+
+    const started = Date.now();
+    const apiTracks = await getLectureVideo(course_slug, item_id)
+      .then(video => video?.tracks ?? null)
+      .catch(ignoreErrors(["forbidden", "not_found", "upstream_changed", "upstream_unavailable", "timeout"]));
+
+    const page = await createAuthenticatedPage();
+
     try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      const rule = scrapeRules.lecture;
+      const pageTiming = await gotoPage(page, url, { ...pageReadiness(rule), timeout: timeout_ms });
       
-      // Extract course structure
-      const materials = await page.evaluate(() => {
-        const modules = [];
-        
-        // Try to find week/module containers
-        const weekContainers = document.querySelectorAll('[data-testid="week-container"], .rc-WeekItemName, .rc-ModuleName, .rc-LessonItem');
-        
-        weekContainers.forEach((container, idx) => {
-          const items = [];
-          const itemElements = container.querySelectorAll('a[href*="/learn/"], .rc-ItemName');
-          
-          itemElements.forEach(item => {
-            const link = item.closest('a') || item.querySelector('a');
-            items.push({
-              name: item.textContent?.trim(),
-              url: link?.href || null,
-              type: link?.href?.includes('/lecture/') ? 'lecture' :
-                    link?.href?.includes('/supplement/') ? 'reading' :
-                    link?.href?.includes('/quiz/') ? 'quiz' :
-                    link?.href?.includes('/exam/') ? 'exam' :
-                    link?.href?.includes('/assignment/') ? 'assignment' : 'unknown'
-            });
-          });
-          
-          modules.push({
-            name: container.querySelector('.rc-WeekItemName, .rc-ModuleName, h2, h3')?.textContent?.trim() || `Module ${idx + 1}`,
-            items
-          });
-        });
-        
-        // Fallback: get all links
-        if (modules.length === 0 || modules.every(m => m.items.length === 0)) {
-          const allLinks = document.querySelectorAll('a[href*="/learn/"]');
-          const items = [];
-          allLinks.forEach(link => {
-            const href = link.href;
-            if (href.includes('/lecture/') || href.includes('/supplement/') || 
-                href.includes('/quiz/') || href.includes('/exam/')) {
-              items.push({
-                name: link.textContent?.trim(),
-                url: href,
-                type: href.includes('/lecture/') ? 'lecture' :
-                      href.includes('/supplement/') ? 'reading' :
-                      href.includes('/quiz/') ? 'quiz' : 'unknown'
-              });
-            }
+      // Extract lecture details, the transcript panel and the player's subtitle tracks
+      const { values, matched } = await extractFields(page, rule);
+      const pageTitle = await page.title();
+      const { transcript: panelText, subtitle_tracks: trackElements, ...details } = values;
+      const pageTracks = {};
+      for (const track of trackElements) {
+        const lang = track.language || track.label;
+        if (lang && track.src) pageTracks[lang] = track.src;
+      }
+
+      const useApiTracks = apiTracks && Object.keys(apiTracks).length > 0;
+      const tracks = useApiTracks ? apiTracks : pageTracks;
+      let transcript = await getTranscript(tracks, language, transcript_format)
+        .catch(error => ({ error: error.message }));
+
+      // Last resort: the transcript panel text, without timestamps
+      if (!transcript.source && panelText) {
+        transcript = {
+          ...transcript,
+          source: "page",
+          format: "text",
+          text: panelText,
+        };
+      }
+
+      return {
+        course_slug,
+        item_id,
+        url,
+        page_title: pageTitle,
+        ...details,
+        transcript,
+        diagnostics: diagnose("lecture", {
+          title: ruleField(rule, matched, "title", details.title, 2),
+          description: ruleField(rule, matched, "description", details.description),
+          duration: ruleField(rule, matched, "duration", details.duration),
+          // Subtitle tracks come from the API; the player's <track> elements are the fallback
+          subtitle_tracks: useApiTracks
+            ? { value: tracks, matched: "api" }
+            : ruleField(rule, matched, "subtitle_tracks", tracks),
+          transcript: transcript.source === "page"
+            ? ruleField(rule, matched, "transcript", transcript.text, 3)
+            : { value: transcript.source && transcript, matched: transcript.source ?? null, weight: 3 },
+        }),
+        timing: summarizeTimings(started, [pageTiming]),
+        ...(debug && { debug: [await snapshotPage(page)] }),
+      };
+      
+    } finally {
+      await releasePage(page);
+    }
+  }
+
+  // API first, like getReading
+  async function getLecture(args) {
+    let apiError;
+    if (!args.debug) {
+      try {
+        return await getLectureFromApi(args);
+      } catch (error) {
+        apiError = toCourseraError(error);
+        if (apiError.code === "auth_expired") throw apiError;
+      }
+    }
+    const { course_slug, item_id, url, ...result } = await getLectureFromBrowser(args);
+    return {
+      course_slug,
+      item_id,
+      url,
+      source: "browser",
+      ...(apiError && { api_error: apiError.toJSON() }),
+      ...result,
+    };
+  }
+
+  async function listAssignments(args) {
+    const { course_slug, timeout_ms, debug } = args;
+    const outline = await getCourseOutline(course_slug, { timeout: timeout_ms, debug });
+
+    const assignments = [];
+    for (const mod of outline.modules) {
+      for (const lesson of mod.lessons) {
+        for (const item of lesson.items) {
+          if (!DEADLINE_ITEM_TYPES.has(item.type)) continue;
+          assignments.push({
+            ...item,
+            module: mod.name,
+            week: mod.week,
           });
-          if (items.length > 0) {
-            modules.push({ name: 'All Items', items });
-          }
         }
-        
-        return modules;
+      }
+    }
+
+    return {
+      course_id: outline.course_id,
+      course_slug,
+      source: outline.source,
+      assignments,
+      ...(outline.diagnostics && { diagnostics: outline.diagnostics }),
+      timing: outline.timing,
+      ...(outline.debug && { debug: outline.debug }),
+    };
+  }
+
+  // Extract quiz settings and questions from a rendered quiz page
+  async function scrapeQuizPage(url, { timeout, debug } = {}) {
+    const page = await createAuthenticatedPage();
+
+    try {
+      const timing = await gotoPage(page, url, { ...pageReadiness(scrapeRules.quiz), timeout });
+
+      const { values, matched } = await extractFields(page, scrapeRules.quiz);
+      const questions = values.questions.map((question, idx) => ({
+        number: Number.parseInt(question.number, 10) || idx + 1,
+        prompt: question.prompt?.text ?? null,
+        prompt_html: question.prompt?.html || null,
+        type: QUESTION_TYPES.find(type => question[type]) ?? 'text',
+        options: question.options
+          .filter(option => option.text)
+          .map(option => ({
+            text: option.text,
+            selected: Boolean(option.checked || option.aria_checked === 'true'),
+          })),
+        points: question.points,
+        feedback: question.feedback,
+      }));
+
+      return {
+        url: page.url(),
+        title: values.title,
+        text: values.body?.text || '',
+        html: values.body?.html || '',
+        questions,
+        matched,
+        timing,
+        ...(debug && { debug: [await snapshotPage(page)] }),
+      };
+    } finally {
+      await releasePage(page);
+    }
+  }
+
+  function diagnoseQuiz(quiz, questions, questionsMatched, metadata) {
+    const rule = scrapeRules.quiz;
+    const settings = Object.values(metadata).some(value => value !== null) ? metadata : null;
+    return diagnose("quiz", {
+      title: ruleField(rule, quiz.matched, "title", quiz.title, 2),
+      // Attempts, passing grade and time limit are read from the page text
+      settings: ruleField(rule, quiz.matched, "body", settings),
+      questions: ruleField(rule, questionsMatched, "questions", questions, 3),
+      prompts: ruleField(
+        rule,
+        questionsMatched,
+        "questions.prompt",
+        questions.length > 0 && questions.every(q => q.prompt) ? questions.map(q => q.prompt) : null
+      ),
+    });
+  }
+
+  // `item` is the outline entry, if known; its URL is tried first
+  async function getAssignmentFromBrowser(args, item = null) {
+    const { course_slug, item_id, item_name, format = DEFAULT_CONTENT_FORMAT, timeout_ms, debug } = args;
+
+    const slug = item_name || 'quiz';
+    // Try different URL patterns
+    const urls = [...new Set([
+      item?.url,
+      `${courseraWebBase()}/learn/${course_slug}/quiz/${item_id}/${slug}`,
+      `${courseraWebBase()}/learn/${course_slug}/exam/${item_id}/${slug}`,
+      `${courseraWebBase()}/learn/${course_slug}/assignment/${item_id}/${slug}`,
+    ].filter(Boolean))];
+
+    const started = Date.now();
+    const pageTimings = [];
+    const snapshots = [];
+    let lastError = null;
+    for (const url of urls) {
+      let quiz;
+      try {
+        quiz = await scrapeQuizPage(url, { timeout: timeout_ms, debug });
+      } catch (e) {
+        lastError = e;
+        continue;
+      }
+      pageTimings.push(quiz.timing);
+      snapshots.push(...quiz.debug ?? []);
+      if (quiz.questions.length === 0 && quiz.text.length <= 100) continue;
+
+      // The cover page only shows settings; the last attempt shows questions and feedback
+      let questions = quiz.questions;
+      let questionsMatched = quiz.matched;
+      if (questions.length === 0) {
+        const attempt = await scrapeQuizPage(`${quiz.url.replace(/\/$/, '')}/view-attempt`, { timeout: timeout_ms, debug })
+          .catch(ignoreErrors(["forbidden", "not_found", "timeout", "scrape_failed"]));
+        if (attempt) {
+          pageTimings.push(attempt.timing);
+          snapshots.push(...attempt.debug ?? []);
+          questionsMatched = attempt.matched;
+        }
+        questions = attempt?.questions || [];
+      }
+
+      const metadata = parseQuizMetadata(quiz.text);
+      return {
+        course_slug,
+        item_id,
+        url: quiz.url,
+        title: quiz.title,
+        ...metadata,
+        question_count: questions.length,
+        format,
+        questions: questions.map(({ prompt_html, ...q }) => ({
+          ...q,
+          prompt: prompt_html
+            ? formatPageContent({ html: prompt_html, text: q.prompt }, format, quiz.url).content
+            : q.prompt,
+          points: parsePoints(q.points),
+        })),
+        ...(questions.length === 0 && formatPageContent({ html: quiz.html, text: quiz.text.trim() }, format, quiz.url)),
+        diagnostics: diagnoseQuiz(quiz, questions, questionsMatched, metadata),
+        timing: summarizeTimings(started, pageTimings),
+        ...(debug && { debug: snapshots }),
+      };
+    }
+
+    // No page loaded at all, e.g. Chromium couldn't start: that error says more
+    if (lastError && pageTimings.length === 0) throw lastError;
+    throw new CourseraError("not_found", `Could not find assignment ${item_id} in course ${course_slug}`);
+  }
+
+  // Coursera only serves quiz questions through exam sessions, and opening one
+  // starts an attempt, so questions come from the rendered page. The outline picks
+  // the page's URL and stands in for it when the browser can't run.
+  async function getAssignment(args) {
+    const { course_slug, item_id, format = DEFAULT_CONTENT_FORMAT } = args;
+    const started = Date.now();
+    const item = await findOutlineItemOrNull(course_slug, item_id);
+    try {
+      const result = await getAssignmentFromBrowser(args, item);
+      return { course_slug, item_id, url: result.url, source: "browser", ...result };
+    } catch (error) {
+      const browserError = toCourseraError(error);
+      if (!item || browserError.code === "auth_expired") throw browserError;
+      return {
+        course_slug,
+        item_id,
+        url: item.url,
+        source: "api",
+        browser_error: browserError.toJSON(),
+        title: item.name,
+        type: item.type,
+        duration_minutes: item.duration_minutes,
+        locked: item.locked,
+        completed: item.completed,
+        question_count: null,
+        format,
+        questions: null,
+        timing: summarizeTimings(started, []),
+      };
+    }
+  }
+
+  async function getProgress(args) {
+    const { course_slug, timeout_ms, debug } = args;
+    
+    // Use browser to get progress page
+    const url = `${courseraWebBase()}/learn/${course_slug}/home/welcome`;
+    
+    const started = Date.now();
+    const page = await createAuthenticatedPage();
+    
+    try {
+      const rule = scrapeRules.progress;
+      const pageTiming = await gotoPage(page, url, { ...pageReadiness(rule), timeout: timeout_ms });
+      
+      // Look for progress indicators
+      const { values: progress, matched } = await extractFields(page, rule);
+      
+      return {
+        course_slug,
+        url,
+        ...progress,
+        diagnostics: diagnose("progress", {
+          percentage: ruleField(rule, matched, "percentage", progress.percentage, 2),
+          progress_bar_width: ruleField(rule, matched, "progress_bar_width", progress.progress_bar_width),
+          // No items at all means the selectors missed; no completed items is a valid answer
+          total_items: ruleField(rule, matched, "total_items", progress.total_items || null, 2),
+          completed_items: matched.completed_items
+            ? ruleField(rule, matched, "completed_items", progress.completed_items, 0.5)
+            : { value: progress.completed_items, matched: null, weight: 0.5 },
+        }),
+        timing: summarizeTimings(started, [pageTiming]),
+        ...(debug && { debug: [await snapshotPage(page)] }),
+      };
+      
+    } finally {
+      await releasePage(page);
+    }
+  }
+
+  async function getGradesFromApi(course_slug) {
+    const { id: courseId } = await withCache("get_course", { course_slug }, getCourse);
+    const userId = await getUserId();
+    if (!userId) {
+      throw missingUserError();
+    }
+
+    const url = `${courseraApiBase()}/onDemandCourseViewGrades.v1/${userId}~${courseId}` +
+      `?includes=items&fields=passingState,overallOutcome,items` +
+      `,onDemandCourseViewGradeItems.v1(itemId,name,gradingWeight,overallOutcome,attemptCount,passingFraction,contentSummary)`;
+    const response = await courseraFetch(url);
+    const grades = response?.elements?.[0];
+    if (!grades) {
+      throw new CourseraError("not_found", `No grades found for: ${course_slug}`);
+    }
+
+    // Due dates and item slugs come from the week cards
+    const weekItems = new Map();
+    const weeks = await getWeekCards(userId, courseId).catch(ignoreErrors(["forbidden", "not_found"], []));
+    for (const week of weeks) {
+      for (const mod of week.modules || []) {
+        for (const item of mod.items || []) {
+          weekItems.set(item.id, { ...item, deadline: item.deadline ?? item.dueAt ?? week.deadline });
+        }
+      }
+    }
+
+    const gradeItems = response.linked?.["onDemandCourseViewGradeItems.v1"] || grades.items || [];
+    const items = gradeItems.map(gradeItem => {
+      const itemId = gradeItem.itemId ?? gradeItem.id;
+      const weekItem = weekItems.get(itemId);
+      const typeName = gradeItem.contentSummary?.typeName ?? weekItem?.contentSummary?.typeName;
+      const outcome = gradeItem.overallOutcome || {};
+      const attempts = gradeItem.attemptCount ?? outcome.attemptCount ?? null;
+      const dueAt = parseTimestamp(weekItem?.deadline);
+      return {
+        item_id: itemId,
+        name: gradeItem.name ?? weekItem?.name ?? null,
+        type: ITEM_TYPES[typeName]?.type || typeName || null,
+        url: typeName ? buildItemUrl(course_slug, typeName, itemId, weekItem?.slug) : null,
+        weight_percent: fractionToPercent(gradeItem.gradingWeight),
+        best_score_percent: fractionToPercent(outcome.grade ?? outcome.latestPassedAttemptGrade),
+        passing_score_percent: fractionToPercent(gradeItem.passingFraction),
+        attempts_used: attempts,
+        // A grade below the passing score isn't a failure while attempts remain;
+        // only Coursera's own isFailed says the item can no longer be passed
+        status: outcome.isPassed ? "passed" :
+                outcome.isFailed ? "failed" :
+                attempts ? "pending" : "not_attempted",
+        due_at: dueAt === null ? null : new Date(dueAt).toISOString(),
+      };
+    });
+
+    return {
+      course_id: courseId,
+      items,
+      overall_grade_percent: fractionToPercent(grades.overallOutcome?.grade),
+      passing_state: grades.passingState ?? null,
+      passed: PASSED_STATES.has(grades.passingState) || grades.overallOutcome?.isPassed === true,
+    };
+  }
+
+  function diagnoseGrades({ items, overall, matched }) {
+    const rule = scrapeRules.grades;
+    const column = (field) => items.map(item => item[field]).filter(Boolean);
+    return diagnose("grades", {
+      rows: ruleField(rule, matched, "rows", items, 3),
+      overall: ruleField(rule, matched, "overall", overall),
+      status: ruleField(rule, matched, "rows.status", column("status")),
+      grade: ruleField(rule, matched, "rows.grade", column("grade")),
+      due: ruleField(rule, matched, "rows.due", column("due"), 0.5),
+    });
+  }
+
+  async function getGradesFromBrowser(course_slug, { timeout, debug } = {}) {
+    const url = `${courseraWebBase()}/learn/${course_slug}/home/assignments`;
+    const started = Date.now();
+    const page = await createAuthenticatedPage();
+
+    try {
+      const rule = scrapeRules.grades;
+      const pageTiming = await gotoPage(page, url, { ...pageReadiness(rule), timeout });
+
+      // Each field has its own element, or else sits in a fixed table column
+      const { values, matched } = await extractFields(page, rule);
+      const columns = Object.entries(fieldRule(rule, "rows").fields).filter(([, field]) => field.column !== undefined);
+      const scraped = {
+        items: values.rows.map(row => {
+          const item = { name: row.name || row.cells[0], url: row.url || null };
+          for (const [field, { column }] of columns) {
+            item[field] = row[field] || row.cells[column] || null;
+            if (!row[field] && item[field]) matched[`rows.${field}`] ??= 'table cell';
+          }
+          return item;
+        }).filter(item => item.name),
+        overall: values.overall,
+        matched,
+      };
+
+      if (scraped.items.length === 0 && !scraped.overall) {
+        throw new CourseraError("scrape_failed", `No grade rows found on: ${url}`);
+      }
+
+      const items = scraped.items.map(item => {
+        const status = item.status?.toLowerCase() || '';
+        return {
+          item_id: parseItemUrl(item.url).id,
+          name: item.name,
+          type: parseItemUrl(item.url).type,
+          url: item.url,
+          weight_percent: parsePercent(item.weight),
+          best_score_percent: parsePercent(item.grade),
+          passing_score_percent: null,
+          attempts_used: null,
+          status: status.includes('passed') && !status.includes('not passed') ? "passed" :
+                  status.includes('failed') || status.includes('not passed') ? "failed" :
+                  status.includes('submitted') || status.includes('pending') ? "pending" : "not_attempted",
+          due_at: item.due ? parseDueText(item.due) : null,
+        };
       });
-      
+
       return {
-        course_slug,
+        course_id: null,
         url,
-        modules: materials,
+        items,
+        overall_grade_percent: parsePercent(scraped.overall),
+        passing_state: null,
+        passed: null,
+        diagnostics: diagnoseGrades(scraped),
+        timing: summarizeTimings(started, [pageTiming]),
+        ...(debug && { debug: [await snapshotPage(page)] }),
       };
-      
     } finally {
-      await page.close();
+      await releasePage(page);
     }
   }
 
-  async function getPageContent(args) {
-    const { url } = args;
-    
-    if (!url.includes('coursera.org')) {
-      throw new Error('URL must be a Coursera URL');
+  async function getGrades(args) {
+    const { course_slug, timeout_ms, debug } = args;
+
+    let grades;
+    let source = "api";
+    let apiError;
+    try {
+      grades = await getGradesFromApi(course_slug);
+    } catch (error) {
+      apiError = toCourseraError(error);
+      if (apiError.code === "auth_expired") throw apiError;
+      apiError = apiError.toJSON();
+      source = "browser";
+      grades = await getGradesFromBrowser(course_slug, { timeout: timeout_ms, debug });
     }
-    
-    return fetchPageContent(url);
-  }
 
-  async function getReading(args) {
-    const { course_slug, item_id, item_name } = args;
-    
-    // Construct URL
-    const slug = item_name || 'reading';
-    const url = `https://www.coursera.org/learn/${course_slug}/supplement/${item_id}/${slug}`;
-    
-    const result = await fetchPageContent(url);
-    
+    // On track: passed already, or nothing past due is left unpassed
+    const now = Date.now();
+    const atRisk = grades.items.filter(item =>
+      item.status !== "passed" && item.due_at && Date.parse(item.due_at) < now
+    );
+
     return {
       course_slug,
-      item_id,
-      ...result
+      source,
+      ...(apiError && { api_error: apiError }),
+      ...grades,
+      on_track: grades.passed === true || atRisk.length === 0,
+      at_risk_items: atRisk.map(item => item.item_id ?? item.name),
     };
   }
 
-  async function getLecture(args) {
-    const { course_slug, item_id, item_name } = args;
-    
-    const slug = item_name || 'lecture';
-    const url = `https://www.coursera.org/learn/${course_slug}/lecture/${item_id}/${slug}`;
+  async function listDegreePrograms(args = {}) {
+    const userId = await getUserId();
+    if (!userId) {
+      throw missingUserError();
+    }
     
-    const page = await createAuthenticatedPage();
+    // Get program memberships
+    const programsUrl = `${courseraApiBase()}/programMemberships.v2?q=byUser&userId=${userId}`;
+    const programs = await courseraFetch(programsUrl);
     
-    try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      // Extract lecture content and transcript
-      const content = await page.evaluate(() => {
-        // Get video title
-        const title = document.querySelector('.rc-VideoName, h1, .video-name')?.textContent?.trim();
-        
-        // Get transcript if available
-        const transcriptEl = document.querySelector('.rc-Transcript, [data-testid="transcript"]');
-        const transcript = transcriptEl?.textContent?.trim();
-        
-        // Get description
-        const description = document.querySelector('.rc-VideoDescription, .video-description')?.textContent?.trim();
-        
-        // Get video duration
-        const duration = document.querySelector('.video-duration, [data-testid="duration"]')?.textContent?.trim();
-        
+    return {
+      user_id: userId,
+      programs: programs?.elements || [],
+    };
+  }
+
+  async function getCourseCompletion(userId, courseId) {
+    const url = `${courseraApiBase()}/onDemandCourseGrades.v1/${userId}~${courseId}?fields=passingState,overallOutcome`;
+    const response = await courseraFetch(url);
+    const grade = response?.elements?.[0];
+    return {
+      completed: PASSED_STATES.has(grade?.passingState) || grade?.overallOutcome?.isPassed === true,
+      grade: grade?.overallOutcome?.grade ?? null,
+    };
+  }
+
+  async function listSpecializations() {
+    const enrollments = await withCache("list_enrollments", { limit: 100 }, listEnrollments);
+    const userId = enrollments.user_id;
+    if (!userId) {
+      throw missingUserError();
+    }
+
+    const membershipsUrl = `${courseraApiBase()}/onDemandSpecializationMemberships.v1?q=findByUser&userId=${userId}`;
+    const specializationMemberships = await courseraFetch(membershipsUrl);
+    const specializationIds = [...new Set(
+      (specializationMemberships?.elements || []).map(m => m.specializationId).filter(Boolean)
+    )];
+    if (specializationIds.length === 0) {
+      return { user_id: userId, specializations: [] };
+    }
+
+    const specializationsUrl = `${courseraApiBase()}/onDemandSpecializations.v1?ids=${specializationIds.join(',')}&fields=name,slug,courseIds,productVariant,metadata`;
+    const specializations = (await courseraFetch(specializationsUrl))?.elements || [];
+
+    // Member courses the user hasn't enrolled in yet still need names and slugs
+    const coursesById = new Map(enrollments.courses.map(c => [c.id, c]));
+    const missingIds = [...new Set(specializations.flatMap(s => s.courseIds || []))]
+      .filter(id => !coursesById.has(id));
+    if (missingIds.length > 0) {
+      const coursesUrl = `${courseraApiBase()}/onDemandCourses.v1?ids=${missingIds.join(',')}&fields=id,name,slug`;
+      const coursesResponse = await courseraFetch(coursesUrl).catch(ignoreErrors(["forbidden", "not_found"]));
+      for (const course of coursesResponse?.elements || []) {
+        coursesById.set(course.id, course);
+      }
+    }
+
+    // Only member courses the user is enrolled in can have a grade
+    const enrolledIds = new Set(enrollments.memberships.map(m => m.courseId).filter(Boolean));
+    const memberIds = [...new Set(specializations.flatMap(s => s.courseIds || []))]
+      .filter(id => enrolledIds.has(id));
+    const completionById = new Map();
+    const errors = [];
+    await mapWithConcurrency(memberIds, COMPLETION_CONCURRENCY, async (courseId) => {
+      try {
+        // No grade record yet just means nothing is passed
+        const completion = await getCourseCompletion(userId, courseId).catch(ignoreErrors(["not_found"]));
+        if (completion) completionById.set(courseId, completion);
+      } catch (error) {
+        // One unreadable course shouldn't hide the others' progress
+        errors.push({ course_id: courseId, slug: coursesById.get(courseId)?.slug ?? null, error: toCourseraError(error).toJSON() });
+      }
+    });
+
+    return {
+      user_id: userId,
+      specializations: specializations.map(specialization => {
+        const courses = (specialization.courseIds || []).map((courseId, idx) => {
+          const course = coursesById.get(courseId);
+          const completion = completionById.get(courseId);
+          const started = enrolledIds.has(courseId);
+          return {
+            position: idx + 1,
+            course_id: courseId,
+            slug: course?.slug || null,
+            name: course?.name || null,
+            status: completion?.completed ? "completed" : started ? "started" : "not_started",
+            grade: completion?.grade ?? null,
+          };
+        });
+        const completedCount = courses.filter(c => c.status === "completed").length;
+        const pct = courses.length > 0 ? Math.round((completedCount / courses.length) * 100) : 0;
+        const productType = getSpecializationProductType(specialization);
         return {
-          title,
-          transcript,
-          description,
-          duration
+          id: specialization.id,
+          slug: specialization.slug,
+          name: specialization.name,
+          product_type: productType,
+          url: buildSpecializationUrl(specialization.slug, productType),
+          courses,
+          started_courses: courses.filter(c => c.status !== "not_started").length,
+          completed_courses: completedCount,
+          percent_complete: pct,
         };
-      });
-      
-      const pageTitle = await page.title();
-      
-      return {
-        course_slug,
-        item_id,
-        url,
-        page_title: pageTitle,
-        ...content
-      };
-      
-    } finally {
-      await page.close();
+      }),
+      ...(errors.length > 0 && { errors }),
+    };
+  }
+
+  async function searchCatalog(resource, query, start, fields) {
+    const url = `${courseraApiBase()}/${resource}?q=search&query=${encodeURIComponent(query)}` +
+      `&start=${start}&limit=${SEARCH_BATCH_SIZE}&includes=partnerIds&fields=${fields},partners.v1(name,shortName)`;
+    const response = await courseraFetch(url);
+    const partnersById = new Map(
+      (response?.linked?.["partners.v1"] || []).map(p => [p.id, p.name || p.shortName])
+    );
+    const next = response?.paging?.next;
+    return {
+      elements: response?.elements || [],
+      partnersById,
+      total: response?.paging?.total ?? null,
+      next: next !== undefined && next !== null ? Number(next) : null,
+    };
+  }
+
+  // Up to `limit` filtered matches from one catalog resource, in its ranking order
+  async function searchSource(source, query, filters, limit) {
+    const matches = [];
+    let total = 0;
+    let start = 0;
+    while (start !== null && start < SEARCH_MAX_SCAN && matches.length < limit) {
+      const batch = await searchCatalog(source.resource, query, start, source.fields);
+      if (start === 0 && batch.total !== null) total = batch.total;
+      for (const element of batch.elements) {
+        const result = source.normalize(element, batch.partnersById);
+        if (matchesCatalogFilters(result, filters)) matches.push(result);
+      }
+      start = batch.elements.length > 0 ? batch.next : null;
     }
+    return { matches, total, exhausted: start === null };
   }
 
-  async function listAssignments(args) {
-    const { course_slug } = args;
-    
-    // Get course ID
-    const courseUrl = `${COURSERA_API_BASE}/onDemandCourses.v1?q=slug&slug=${encodeURIComponent(course_slug)}&fields=id`;
-    const courseResponse = await courseraFetch(courseUrl);
-    const courseId = courseResponse?.elements?.[0]?.id;
-    
-    if (!courseId) {
-      throw new Error(`Course not found: ${course_slug}`);
+  async function searchCourses(args) {
+    const { query, product_type } = args;
+    const page = args.page || 1;
+    const pageSize = args.page_size || DEFAULT_SEARCH_PAGE_SIZE;
+    const wanted = page * pageSize;
+
+    const sources = [];
+    if (!product_type || product_type === "course" || product_type === "guided_project") {
+      sources.push({
+        resource: "courses.v1",
+        fields: "name,slug,partnerIds,primaryLanguages,workload,level,isFree,isRhymeProject,productType,averageFiveStarRating",
+        normalize: normalizeCatalogCourse,
+      });
+    }
+    if (!product_type || product_type === "specialization" || product_type === "professional_certificate") {
+      sources.push({
+        resource: "onDemandSpecializations.v1",
+        fields: "name,slug,partnerIds,courseIds,metadata,productVariant",
+        normalize: normalizeCatalogSpecialization,
+      });
     }
 
-    // Use browser to get assignments from course page
-    const page = await createAuthenticatedPage();
-    
-    try {
-      const url = `https://www.coursera.org/learn/${course_slug}/home/week/1`;
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const assignments = await page.evaluate(() => {
-        const items = [];
-        const links = document.querySelectorAll('a[href*="/quiz/"], a[href*="/exam/"], a[href*="/assignment/"], a[href*="/peer/"]');
-        
-        links.forEach(link => {
-          items.push({
-            name: link.textContent?.trim(),
-            url: link.href,
-            type: link.href.includes('/quiz/') ? 'quiz' :
-                  link.href.includes('/exam/') ? 'exam' :
-                  link.href.includes('/peer/') ? 'peer' : 'assignment'
-          });
-        });
-        
-        return items;
+    // Each source pages through its own results; a full page of courses mustn't
+    // keep specializations from being searched at all
+    const perSource = await Promise.all(sources.map(source => searchSource(source, query, args, wanted + 1)));
+    const matches = interleave(perSource.map(found => found.matches));
+    const total = perSource.reduce((sum, found) => sum + found.total, 0);
+    const exhausted = perSource.every(found => found.exhausted);
+
+    // Mark results the user is already enrolled in; search still works logged out
+    let enrollmentError = null;
+    const enrollments = await withCache("list_enrollments", { limit: 100 }, listEnrollments)
+      .catch(error => {
+        enrollmentError = toCourseraError(error).toJSON();
+        return { courses: [] };
       });
-      
+    const enrolledCourseIds = new Set(enrollments.courses.map(c => c.id));
+
+    const results = matches.slice((page - 1) * pageSize, wanted).map(({ course_ids, ...result }) => {
+      const enrolledCourses = course_ids.filter(id => enrolledCourseIds.has(id)).length;
       return {
-        course_id: courseId,
-        course_slug,
-        assignments: [...new Map(assignments.map(a => [a.url, a])).values()] // dedupe
+        ...result,
+        enrollment_status: enrolledCourses > 0 ? "enrolled" : "not_enrolled",
+        ...(result.product_type !== "course" && result.product_type !== "guided_project" && {
+          enrolled_courses: enrolledCourses,
+          total_courses: course_ids.length,
+        }),
       };
-      
-    } finally {
-      await page.close();
-    }
+    });
+
+    return {
+      query,
+      page,
+      page_size: pageSize,
+      total_unfiltered: total,
+      has_more: matches.length > wanted || !exhausted,
+      results,
+      ...(enrollmentError && { enrollment_error: enrollmentError }),
+    };
   }
 
-  async function getAssignment(args) {
-    const { course_slug, item_id, item_name } = args;
-    
-    const slug = item_name || 'quiz';
-    // Try different URL patterns
-    const urls = [
-      `https://www.coursera.org/learn/${course_slug}/quiz/${item_id}/${slug}`,
-      `https://www.coursera.org/learn/${course_slug}/exam/${item_id}/${slug}`,
-      `https://www.coursera.org/learn/${course_slug}/assignment/${item_id}/${slug}`,
-    ];
-    
-    for (const url of urls) {
-      try {
-        const result = await fetchPageContent(url);
-        if (result.content && result.content.length > 100) {
-          return {
-            course_slug,
-            item_id,
-            ...result
-          };
+  async function getCourseDeadlines(userId, course) {
+    const weeks = await getWeekCards(userId, course.id);
+
+    const deadlines = [];
+    for (const week of weeks) {
+      for (const mod of week.modules || []) {
+        for (const item of mod.items || []) {
+          const typeName = item.contentSummary?.typeName;
+          const itemType = ITEM_TYPES[typeName]?.type;
+          if (!DEADLINE_ITEM_TYPES.has(itemType)) continue;
+
+          const dueAt = parseTimestamp(item.deadline ?? item.dueAt ?? week.deadline);
+          if (dueAt === null) continue;
+
+          deadlines.push({
+            course_slug: course.slug,
+            course_name: course.name,
+            item_id: item.id,
+            item_name: item.name,
+            item_type: itemType,
+            due_at: dueAt,
+            completed: isItemCompleted(item),
+            url: buildItemUrl(course.slug, typeName, item.id, item.slug),
+          });
         }
-      } catch (e) {
-        continue;
       }
     }
-    
-    throw new Error(`Could not find assignment ${item_id} in course ${course_slug}`);
+    return deadlines;
   }
 
-  async function getProgress(args) {
-    const { course_slug } = args;
-    
-    // Use browser to get progress page
-    const url = `https://www.coursera.org/learn/${course_slug}/home/welcome`;
-    
+  async function getDeadlines(args = {}) {
+    const { course_slug, include_overdue = false } = args;
+    const withinDays = args.within_days || DEFAULT_DEADLINE_WINDOW_DAYS;
+    const now = Date.now();
+
+    const from = args.from ? parseTimestamp(args.from) : now;
+    if (from === null) {
+      throw new CourseraError("invalid_argument", `Invalid 'from' date: ${args.from}`);
+    }
+    const to = args.to ? parseTimestamp(args.to) : from + withinDays * DAY_MS;
+    if (to === null) {
+      throw new CourseraError("invalid_argument", `Invalid 'to' date: ${args.to}`);
+    }
+
+    const enrollments = await withCache("list_enrollments", { limit: 100 }, listEnrollments);
+    if (!enrollments.user_id) {
+      throw missingUserError();
+    }
+
+    let courses = enrollments.courses;
+    if (course_slug) {
+      courses = courses.filter(c => c.slug === course_slug);
+      if (courses.length === 0) {
+        throw new CourseraError("not_found", `Not enrolled in course: ${course_slug}`);
+      }
+    }
+
+    const results = await mapWithConcurrency(courses, DEADLINE_CONCURRENCY, async (course) => {
+      try {
+        return { deadlines: await getCourseDeadlines(enrollments.user_id, course) };
+      } catch (error) {
+        // One inaccessible course shouldn't hide deadlines from the others
+        return { error: { course_slug: course.slug, error: toCourseraError(error).toJSON() } };
+      }
+    });
+    const deadlines = results.flatMap(result => result.deadlines ?? []);
+    const errors = results.filter(result => result.error).map(result => result.error);
+
+    const selected = deadlines
+      .filter(d => {
+        if (d.due_at >= from && d.due_at <= to) return true;
+        return include_overdue && d.due_at < now && !d.completed;
+      })
+      .sort((a, b) => a.due_at - b.due_at)
+      .map(d => ({
+        ...d,
+        due_at: new Date(d.due_at).toISOString(),
+        overdue: d.due_at < now && !d.completed,
+      }));
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      deadlines: selected,
+      ...(errors.length > 0 && { errors }),
+    };
+  }
+
+  // Week 1 of the course, checked against the items the API lists for it
+  async function checkWeekPage(course_slug, outlineItems, options) {
     const page = await createAuthenticatedPage();
-    
     try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const progress = await page.evaluate(() => {
-        // Look for progress indicators
-        const progressBar = document.querySelector('.rc-ProgressBar, [data-testid="progress"]');
-        const progressText = document.querySelector('.rc-ProgressText, .progress-percentage');
-        const completedItems = document.querySelectorAll('[data-testid="completed"], .completed-item').length;
-        const totalItems = document.querySelectorAll('.rc-ItemCard, [data-testid="item"]').length;
-        
-        return {
-          percentage: progressText?.textContent?.trim(),
-          completed_items: completedItems,
-          total_items: totalItems,
-          progress_bar_width: progressBar?.style?.width
-        };
-      });
-      
+      const scraped = await scrapeWeekPage(page, course_slug, 1, options);
+      const found = new Set(scraped.lessons.flatMap(lesson => lesson.items.map(item => parseItemUrl(item.url).id)));
+      const expected = outlineItems.filter(item => item.week === 1);
+      const missing = expected.filter(item => !found.has(item.id)).map(item => item.id);
       return {
-        course_slug,
-        url,
-        ...progress
+        url: scraped.url,
+        diagnostics: scraped.diagnostics,
+        reasons: missing.length > 0
+          ? [`Missing ${missing.length} of the ${expected.length} items the API lists for week 1: ${missing.join(', ')}`]
+          : [],
+        debug: scraped.debug,
       };
-      
     } finally {
-      await page.close();
+      await releasePage(page);
     }
   }
 
-  async function listDegreePrograms(args = {}) {
+  // Run every scraper against one course. The API outline picks the items to
+  // check and tells the week page scraper what it should have found.
+  async function scraperSelfcheck(args) {
+    const { course_slug, timeout_ms, debug } = args;
+    const started = Date.now();
+
+    let outlineItems = [];
+    let outlineError = null;
     try {
-      // Get user's memberships first
-      const membershipsUrl = `${COURSERA_API_BASE}/memberships.v1?q=me&limit=100`;
-      const memberships = await courseraFetch(membershipsUrl);
-      const userId = memberships?.elements?.[0]?.userId;
-      
-      if (!userId) {
-        throw new Error('Could not get user ID');
-      }
-      
-      // Get program memberships
-      const programsUrl = `${COURSERA_API_BASE}/programMemberships.v2?q=byUser&userId=${userId}`;
-      const programs = await courseraFetch(programsUrl);
-      
-      return {
-        user_id: userId,
-        programs: programs?.elements || [],
-      };
+      const outline = await getOutlineFromApi(course_slug);
+      outlineItems = outline.modules.flatMap(mod =>
+        mod.lessons.flatMap(lesson => lesson.items.map(item => ({ ...item, week: mod.week })))
+      );
     } catch (error) {
-      return {
-        error: error.message,
-        hint: "Degree program access requires valid authentication"
-      };
+      outlineError = toCourseraError(error);
+      if (outlineError.code === "auth_expired") throw outlineError;
+    }
+    const pickItem = (types, itemId) => itemId
+      ? outlineItems.find(item => item.id === itemId) || { id: itemId, slug: null }
+      : outlineItems.find(item => types.includes(item.type) && !item.locked) || null;
+
+    const itemArgs = (item) => ({ course_slug, item_id: item.id, item_name: item.slug || undefined, timeout_ms, debug });
+    const checks = [
+      { extractor: "week", run: () => checkWeekPage(course_slug, outlineItems, { timeout: timeout_ms, debug }) },
+      { extractor: "reading", item: pickItem(["reading"], args.reading_id), run: (item) => getReadingFromBrowser(itemArgs(item)) },
+      { extractor: "lecture", item: pickItem(["lecture"], args.lecture_id), run: (item) => getLectureFromBrowser(itemArgs(item)) },
+      { extractor: "quiz", item: pickItem(["quiz", "exam"], args.quiz_id), run: (item) => getAssignmentFromBrowser(itemArgs(item), item) },
+      { extractor: "progress", run: () => getProgress({ course_slug, timeout_ms, debug }) },
+      { extractor: "grades", run: () => getGradesFromBrowser(course_slug, { timeout: timeout_ms, debug }) },
+    ];
+
+    const extractors = [];
+    const snapshots = [];
+    for (const check of checks) {
+      const { extractor, item } = check;
+      if (item === null) {
+        extractors.push({
+          extractor,
+          status: "skipped",
+          reasons: [`No unlocked ${extractor} in the course outline; pass ${extractor}_id to check one`],
+        });
+        continue;
+      }
+      try {
+        const result = await check.run(item);
+        const reasons = [...result.reasons ?? []];
+        if (isDrifted(result.diagnostics)) {
+          reasons.push(`Confidence ${result.diagnostics.confidence} is below the drift threshold`);
+        }
+        extractors.push({
+          extractor,
+          ...(item && { item_id: item.id }),
+          url: result.url,
+          status: reasons.length > 0 ? "drift" : "ok",
+          ...(reasons.length > 0 && { reasons }),
+          ...result.diagnostics,
+        });
+        snapshots.push(...result.debug ?? []);
+      } catch (error) {
+        const normalized = toCourseraError(error);
+        if (normalized.code === "auth_expired") throw normalized;
+        // A page that loads but yields nothing is drift; a network failure isn't
+        const drifted = ["scrape_failed", "not_found", "upstream_changed"].includes(normalized.code);
+        extractors.push({
+          extractor,
+          ...(item && { item_id: item.id }),
+          status: drifted ? "drift" : "error",
+          error: normalized.toJSON(),
+        });
+      }
+    }
+
+    return {
+      course_slug,
+      drift_detected: extractors.some(check => check.status === "drift"),
+      extractors,
+      ...(outlineError && { outline_error: outlineError.toJSON() }),
+      timing: summarizeTimings(started, []),
+      ...(debug && { debug: snapshots }),
+    };
+  }
+
+  async function manageCache(args) {
+    const { action = "list", tool } = args;
+    if (!cache) {
+      return { enabled: false, entries: [] };
+    }
+    // Only this account's entries; the key prefix is an implementation detail
+    const prefix = cacheKeyPrefix();
+    if (action === "clear") {
+      return { cleared: await cache.clear({ tool, prefix }) };
     }
+    const entries = await cache.list({ tool, prefix });
+    return {
+      enabled: true,
+      dir: cache.dir || null,
+      count: entries.length,
+      entries: entries.map(entry => ({ ...entry, key: entry.key.slice(prefix.length) })),
+    };
   }
 
   const toolHandlers = {
@@ -756,37 +2651,275 @@ export function createCourseraServer() {
     list_assignments: listAssignments,
     get_assignment: getAssignment,
     get_progress: getProgress,
+    get_grades: getGrades,
     list_degree_programs: listDegreePrograms,
+    list_specializations: listSpecializations,
+    search_courses: searchCourses,
+    get_deadlines: getDeadlines,
+    auth_status: authStatus,
+    scraper_selfcheck: scraperSelfcheck,
+    manage_cache: manageCache,
   };
 
+  // Debug screenshots go out as image content after the JSON, which refers to
+  // them by position
   function formatToolResponse(result) {
+    const images = [];
+    const body = Array.isArray(result?.debug)
+      ? {
+        ...result,
+        debug: result.debug.map(({ screenshot, ...snapshot }) => {
+          images.push({ type: "image", data: screenshot.data, mimeType: screenshot.mime_type });
+          return { ...snapshot, screenshot: `image ${images.length}` };
+        }),
+      }
+      : result;
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(result, null, 2),
+          text: JSON.stringify(body, null, 2),
         },
+        ...images,
       ],
     };
   }
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  // `authInfo` is only set over HTTP, from the request's access token or API key.
+  // http-server.js already answers a missing scope with 403; this is the backstop.
+  function requireScope(authInfo, scope) {
+    if (authInfo && !authInfo.scopes.includes(scope)) {
+      throw new CourseraError("insufficient_scope", `This request needs the ${scope} scope`);
+    }
+  }
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
     const handler = toolHandlers[name];
     if (!handler) {
       throw new Error(`Unknown tool: ${name}`);
     }
-    const result = await handler(args || {});
-    return formatToolResponse(result);
+    try {
+      requireScope(extra.authInfo, requiredScope(request));
+      const result = await withCache(name, args || {}, handler);
+      return formatToolResponse(result);
+    } catch (error) {
+      return formatErrorResult(error);
+    }
+  });
+
+  // Resources: enrolled courses. Their readings and lecture transcripts are
+  // listed when a course is read, and published as resource templates, so
+  // listing doesn't fetch every course's outline.
+  function courseResourceUri(slug) {
+    return `${RESOURCE_SCHEME}course/${encodeURIComponent(slug)}`;
+  }
+
+  function listItemResources(courseSlug, outline) {
+    const courseUri = courseResourceUri(courseSlug);
+    const resources = [];
+    for (const mod of outline.modules) {
+      for (const lesson of mod.lessons) {
+        for (const item of lesson.items) {
+          if (!item.id || item.locked) continue;
+          if (item.type === "reading") {
+            resources.push({
+              uri: `${courseUri}/reading/${encodeURIComponent(item.id)}`,
+              name: `${courseSlug}/${item.slug || item.id}`,
+              title: item.name,
+              mimeType: "text/markdown",
+            });
+          } else if (item.type === "lecture") {
+            resources.push({
+              uri: `${courseUri}/lecture/${encodeURIComponent(item.id)}/transcript`,
+              name: `${courseSlug}/${item.slug || item.id}/transcript`,
+              title: item.name ? `${item.name} (transcript)` : undefined,
+              mimeType: "text/plain",
+            });
+          }
+        }
+      }
+    }
+    return resources;
+  }
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+    requireScope(extra.authInfo, SCOPES.read);
+    const enrollments = await withCache("list_enrollments", { limit: 100 }, listEnrollments);
+
+    // The cursor is the index of the next course to list
+    const start = Number.parseInt(request.params?.cursor ?? "0", 10) || 0;
+    const resources = enrollments.courses.slice(start, start + RESOURCE_PAGE_SIZE).map((course) => ({
+      uri: courseResourceUri(course.slug),
+      name: course.slug,
+      title: course.name,
+      description: `Course outline for ${course.name || course.slug}`,
+      mimeType: "application/json",
+    }));
+
+    const next = start + RESOURCE_PAGE_SIZE;
+    return {
+      resources,
+      ...(next < enrollments.courses.length && { nextCursor: String(next) }),
+    };
   });
 
-  // Cleanup on server close
-  server.onclose = async () => {
-    if (browserPromise) {
-      const browser = await browserPromise;
-      await browser.close();
+  // Prompts: study workflows with the data they need fetched up front
+  function textMessage(text) {
+    return { role: "user", content: { type: "text", text } };
+  }
+
+  function resourceMessage(uri, mimeType, text) {
+    return { role: "user", content: { type: "resource", resource: { uri, mimeType, text } } };
+  }
+
+  function requireArgument(args, name) {
+    if (!args[name]) {
+      throw new CourseraError("invalid_argument", `Missing required argument: ${name}`);
+    }
+    return args[name];
+  }
+
+  async function weeklyStudyPlanPrompt(args) {
+    const course_slug = requireArgument(args, "course_slug");
+    const outline = await withCache("list_course_materials", { course_slug }, listCourseMaterials);
+    const deadlines = await withCache("get_deadlines", { course_slug, within_days: 14, include_overdue: true }, getDeadlines);
+    const hours = args.hours_per_week ? ` I have about ${args.hours_per_week} hours to study this week.` : "";
+
+    return {
+      description: `Weekly study plan for ${course_slug}`,
+      messages: [
+        textMessage(
+          `Make me a study plan for this week in the Coursera course "${course_slug}".${hours} ` +
+          "Start with anything overdue, then work toward the nearest deadlines. Skip items already completed " +
+          "and use each item's estimated duration to size daily sessions. Link each item by its URL."
+        ),
+        textMessage(`Course outline:\n${JSON.stringify(outline, null, 2)}`),
+        textMessage(`Deadlines for the next two weeks:\n${JSON.stringify(deadlines, null, 2)}`),
+      ],
+    };
+  }
+
+  async function summarizeLecturePrompt(args) {
+    const course_slug = requireArgument(args, "course_slug");
+    const item_id = requireArgument(args, "item_id");
+    const lecture = await withCache("get_lecture", { course_slug, item_id, transcript_format: "text" }, getLecture);
+    if (!lecture.transcript?.text) {
+      throw new CourseraError("not_found", lecture.transcript?.error || `No transcript available for lecture ${item_id}`);
     }
+
+    return {
+      description: `Summary of lecture ${lecture.title || item_id}`,
+      messages: [
+        textMessage(
+          `Summarize the lecture "${lecture.title || item_id}" from the transcript below. ` +
+          "List the key ideas in order with the timestamp where each is introduced, define new terms, " +
+          "and finish with three questions I should be able to answer afterward."
+        ),
+        resourceMessage(
+          `${RESOURCE_SCHEME}course/${encodeURIComponent(course_slug)}/lecture/${encodeURIComponent(item_id)}/transcript`,
+          "text/plain",
+          lecture.transcript.text
+        ),
+      ],
+    };
+  }
+
+  async function quizMeOnReadingPrompt(args) {
+    const course_slug = requireArgument(args, "course_slug");
+    const item_id = requireArgument(args, "item_id");
+    const count = Number.parseInt(args.question_count ?? "", 10) || 5;
+    const reading = await withCache("get_reading", { course_slug, item_id, format: "markdown" }, getReading);
+
+    return {
+      description: `Quiz on reading ${reading.title || item_id}`,
+      messages: [
+        textMessage(
+          `Quiz me on the reading "${reading.title || item_id}" below with ${count} questions. ` +
+          "Mix multiple choice and short answer, ask one question at a time, wait for my answer, " +
+          "then tell me whether I was right and quote the passage that explains it."
+        ),
+        resourceMessage(
+          `${RESOURCE_SCHEME}course/${encodeURIComponent(course_slug)}/reading/${encodeURIComponent(item_id)}`,
+          "text/markdown",
+          reading.content
+        ),
+      ],
+    };
+  }
+
+  async function catchUpOnOverduePrompt() {
+    const deadlines = await withCache("get_deadlines", { within_days: 7, include_overdue: true }, getDeadlines);
+
+    return {
+      description: "Catch-up plan for overdue work",
+      messages: [
+        textMessage(
+          "I'm behind on my Coursera courses. Using the deadlines below, list what is overdue and what is due " +
+          "in the next week, in the order I should tackle them. Put graded items that block course completion " +
+          "first, note anything I may no longer be able to submit, and link each item by its URL."
+        ),
+        textMessage(`Deadlines:\n${JSON.stringify(deadlines, null, 2)}`),
+      ],
+    };
+  }
+
+  const promptHandlers = {
+    weekly_study_plan: weeklyStudyPlanPrompt,
+    summarize_lecture: summarizeLecturePrompt,
+    quiz_me_on_reading: quizMeOnReadingPrompt,
+    catch_up_on_overdue: catchUpOnOverduePrompt,
   };
 
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    requireScope(extra.authInfo, SCOPES.read);
+    const { name, arguments: args } = request.params;
+    const handler = promptHandlers[name];
+    if (!handler) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    return handler(args || {});
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates,
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    requireScope(extra.authInfo, SCOPES.read);
+    const { uri } = request.params;
+    const resource = parseResourceUri(uri);
+    if (!resource) {
+      throw new CourseraError("not_found", `Unknown resource: ${uri}`);
+    }
+    const { course_slug, item_id } = resource;
+
+    if (resource.kind === "reading") {
+      const reading = await withCache("get_reading", { course_slug, item_id, format: "markdown" }, getReading);
+      const text = reading.title ? `# ${reading.title}\n\n${reading.content}` : reading.content;
+      return { contents: [{ uri, mimeType: "text/markdown", text }] };
+    }
+
+    if (resource.kind === "transcript") {
+      const lecture = await withCache("get_lecture", { course_slug, item_id, transcript_format: "text" }, getLecture);
+      if (!lecture.transcript?.text) {
+        throw new CourseraError("not_found", lecture.transcript?.error || `No transcript available for lecture ${item_id}`);
+      }
+      return { contents: [{ uri, mimeType: "text/plain", text: lecture.transcript.text }] };
+    }
+
+    const course = await withCache("get_course", { course_slug }, getCourse);
+    const outline = await withCache("list_course_materials", { course_slug }, listCourseMaterials);
+    return {
+      contents: [{
+        uri,
+        mimeType: "application/json",
+        text: JSON.stringify({ course, outline, resources: listItemResources(course_slug, outline) }, null, 2),
+      }],
+    };
+  });
+
   return server;
 }
@@ -0,0 +1,206 @@
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { ENV_FILES, loadEnv, reloadEnv, watchFiles } from "./env.js";
+import { CourseraError } from "./errors.js";
+
+// Coursera credentials, held in stores that can be updated at runtime. Servers
+// read them on every use, so open sessions pick up new cookies without a restart.
+// The default store is loaded from the environment (COURSERA_COOKIE_FILE,
+// COURSERA_COOKIES or COURSERA_CAUTH); each tenant in multi-tenant mode has its own.
+
+const COOKIE_DOMAIN_PATTERN = /(^|\.)coursera\.org$/i;
+// Netscape cookies.txt marks HttpOnly cookies with this prefix on the domain field
+const HTTP_ONLY_PREFIX = "#HttpOnly_";
+
+export function extractCauth(cookies) {
+  if (!cookies) return null;
+  const match = cookies.match(/(?:^|;\s*)CAUTH=([^;]+)/);
+  return match ? match[1] : null;
+}
+
+export function normalizeCredentials({ cookies, cauth } = {}) {
+  cookies = cookies?.trim() || null;
+  cauth = cauth?.trim() || null;
+  if (!cookies && !cauth) return null;
+  return {
+    cookies: cookies || `CAUTH=${cauth}`,
+    cauth: cauth || extractCauth(cookies),
+  };
+}
+
+function isCourseraCookie(domain) {
+  return !domain || COOKIE_DOMAIN_PATTERN.test(domain.replace(/^\./, ""));
+}
+
+function parseJsonCookies(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new CourseraError("invalid_argument", `Cookie jar is not valid JSON: ${error.message}`);
+  }
+  // Browser extensions export either a bare array or { cookies: [...] }
+  const list = Array.isArray(parsed) ? parsed : parsed?.cookies;
+  if (!Array.isArray(list)) {
+    throw new CourseraError("invalid_argument", "JSON cookie jar must be an array of cookies");
+  }
+  const now = Date.now() / 1000;
+  return list
+    .filter((cookie) => cookie?.name && cookie.value !== undefined)
+    .filter((cookie) => isCourseraCookie(cookie.domain))
+    .filter((cookie) => {
+      // Session cookies have no expiry
+      const expires = Number(cookie.expirationDate ?? cookie.expires ?? 0);
+      return !(expires > 0) || expires > now;
+    })
+    .map((cookie) => [cookie.name, String(cookie.value)]);
+}
+
+function parseNetscapeCookies(text) {
+  const now = Date.now() / 1000;
+  const cookies = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (line.startsWith(HTTP_ONLY_PREFIX)) {
+      line = line.slice(HTTP_ONLY_PREFIX.length);
+    } else if (!line || line.startsWith("#")) {
+      continue;
+    }
+    const fields = line.split("\t");
+    if (fields.length < 7) continue;
+    const [domain, , , , expires, name, ...value] = fields;
+    const expiresAt = Number(expires);
+    if (!isCourseraCookie(domain) || (expiresAt > 0 && expiresAt < now)) continue;
+    cookies.push([name, value.join("\t")]);
+  }
+  return cookies;
+}
+
+// Turn a Netscape cookies.txt or a browser-exported JSON cookie jar into a Cookie
+// header, keeping only live coursera.org cookies
+export function parseCookieJar(input) {
+  const text = typeof input === "string" ? input.trim() : JSON.stringify(input);
+  const pairs = text.startsWith("[") || text.startsWith("{")
+    ? parseJsonCookies(text)
+    : parseNetscapeCookies(text);
+  if (pairs.length === 0) {
+    throw new CourseraError("invalid_argument", "No unexpired coursera.org cookies found in the cookie jar");
+  }
+  // Later duplicates (e.g. a more specific path) win
+  const byName = new Map(pairs);
+  return [...byName].map(([name, value]) => `${name}=${value}`).join("; ");
+}
+
+// Serialize cookies (as returned by Puppeteer's page.cookies()) to a Netscape
+// cookies.txt that COURSERA_COOKIE_FILE can point at
+export function formatCookieJar(cookies) {
+  const lines = cookies.map((cookie) => {
+    const domain = cookie.httpOnly ? `${HTTP_ONLY_PREFIX}${cookie.domain}` : cookie.domain;
+    return [
+      domain,
+      cookie.domain.startsWith(".") ? "TRUE" : "FALSE",
+      cookie.path || "/",
+      cookie.secure ? "TRUE" : "FALSE",
+      // Session cookies have no expiry; Puppeteer reports -1
+      cookie.expires > 0 ? Math.floor(cookie.expires) : 0,
+      cookie.name,
+      cookie.value,
+    ].join("\t");
+  });
+  return ["# Netscape HTTP Cookie File", ...lines, ""].join("\n");
+}
+
+// Credentials from a cookie file, a Cookie header or a CAUTH value, in that order
+export function readCredentials({ cookieFile, cookies, cauth }) {
+  if (cookieFile) {
+    return normalizeCredentials({ cookies: parseCookieJar(readFileSync(resolve(cookieFile), "utf-8")) });
+  }
+  return normalizeCredentials({ cookies, cauth });
+}
+
+// A mutable set of credentials. `load` supplies the initial value (and the value
+// on reload); null means none are configured.
+export function createCredentialStore({ load, name = "default" }) {
+  let current;
+  const listeners = new Set();
+
+  function get() {
+    if (current === undefined) {
+      current = load();
+    }
+    return current;
+  }
+
+  // Replace the credentials. Accepts a Cookie header, a CAUTH value or a cookie jar.
+  // Returns whether anything changed.
+  function set({ cookies, cauth, cookie_jar } = {}, source = "api") {
+    const next = normalizeCredentials({
+      cookies: cookie_jar !== undefined ? parseCookieJar(cookie_jar) : cookies,
+      cauth,
+    });
+    if (!next) {
+      throw new CourseraError("invalid_argument", "Provide cookies, cauth or cookie_jar");
+    }
+    const previous = get();
+    if (previous?.cookies === next.cookies) return false;
+
+    current = next;
+    console.error(`Coursera credentials updated for ${name} (${source})`);
+    for (const listener of listeners) {
+      try {
+        listener(next, previous);
+      } catch (error) {
+        console.error(`Credentials listener failed: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  function reload(source) {
+    try {
+      const next = load();
+      if (next) set(next, source);
+    } catch (error) {
+      // Keep the working credentials rather than dropping to none
+      console.error(`Ignoring credentials reload for ${name}: ${error.message}`);
+    }
+  }
+
+  // Returns an unsubscribe function
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { name, get, set, reload, onChange };
+}
+
+// A replayed capture answers every request itself, so whoever replays one (say,
+// from a bug report) doesn't need a Coursera account
+const REPLAY_CREDENTIALS = normalizeCredentials({ cauth: "replay-placeholder" });
+
+export const defaultCredentials = createCredentialStore({
+  load() {
+    loadEnv();
+    const credentials = readCredentials({
+      cookieFile: process.env.COURSERA_COOKIE_FILE,
+      cookies: process.env.COURSERA_COOKIES,
+      cauth: process.env.COURSERA_CAUTH,
+    });
+    return credentials ?? (process.env.COURSERA_REPLAY?.trim() ? REPLAY_CREDENTIALS : null);
+  },
+});
+
+// Reload the default credentials whenever the env files or COURSERA_COOKIE_FILE
+// change. Returns a function that stops watching.
+export function watchCredentials() {
+  loadEnv();
+  const files = [...ENV_FILES];
+  if (process.env.COURSERA_COOKIE_FILE) {
+    files.push(resolve(process.env.COURSERA_COOKIE_FILE));
+  }
+  return watchFiles(files, () => {
+    reloadEnv();
+    defaultCredentials.reload("env file");
+  });
+}
@@ -1,40 +1,149 @@
-import { existsSync, readFileSync } from "node:fs";
-import { resolve, dirname } from "node:path";
+import { chmodSync, existsSync, readFileSync, watch, writeFileSync } from "node:fs";
+import { resolve, dirname, basename } from "node:path";
 import { fileURLToPath } from "node:url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const ENV_FILES = [
+  resolve(__dirname, "..", ".env.local"),
+  resolve(__dirname, "..", ".env"),
+];
+
+// Editors often write a file several times in a row
+const WATCH_DEBOUNCE_MS = 200;
+
 let envLoaded = false;
+// Keys whose value came from an env file rather than the real environment
+const fileKeys = new Set();
+
+function parseEnvFile(content) {
+  const values = {};
+  for (const line of content.split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const idx = trimmed.indexOf("=");
+    if (idx === -1) continue;
+    const key = trimmed.slice(0, idx).trim();
+    let value = trimmed.slice(idx + 1).trim();
+    // Remove surrounding quotes if present
+    if ((value.startsWith('"') && value.endsWith('"')) ||
+        (value.startsWith("'") && value.endsWith("'"))) {
+      value = value.slice(1, -1);
+    }
+    values[key] = value;
+  }
+  return values;
+}
+
+// Values from all env files; earlier files win
+function readEnvFiles() {
+  const values = {};
+  for (const file of ENV_FILES) {
+    if (existsSync(file)) {
+      const parsed = parseEnvFile(readFileSync(file, "utf-8"));
+      for (const [key, value] of Object.entries(parsed)) {
+        if (!(key in values)) values[key] = value;
+      }
+    }
+  }
+  return values;
+}
 
 export function loadEnv() {
   if (envLoaded) return;
   envLoaded = true;
 
-  const envFiles = [
-    resolve(__dirname, "..", ".env.local"),
-    resolve(__dirname, "..", ".env"),
-  ];
+  for (const [key, value] of Object.entries(readEnvFiles())) {
+    if (!process.env[key]) {
+      process.env[key] = value;
+      fileKeys.add(key);
+    }
+  }
+}
 
-  for (const file of envFiles) {
-    if (existsSync(file)) {
-      const content = readFileSync(file, "utf-8");
-      for (const line of content.split("\n")) {
-        const trimmed = line.trim();
-        if (!trimmed || trimmed.startsWith("#")) continue;
-        const idx = trimmed.indexOf("=");
-        if (idx === -1) continue;
-        const key = trimmed.slice(0, idx).trim();
-        let value = trimmed.slice(idx + 1).trim();
-        // Remove surrounding quotes if present
-        if ((value.startsWith('"') && value.endsWith('"')) ||
-            (value.startsWith("'") && value.endsWith("'"))) {
-          value = value.slice(1, -1);
-        }
-        if (!process.env[key]) {
-          process.env[key] = value;
-        }
-      }
+// Re-read the env files. Values set in the real environment still win; values that
+// came from a file are updated or removed. Returns the keys that changed.
+export function reloadEnv() {
+  loadEnv();
+  const values = readEnvFiles();
+  const changed = [];
+
+  for (const key of [...fileKeys]) {
+    if (!(key in values)) {
+      delete process.env[key];
+      fileKeys.delete(key);
+      changed.push(key);
+    }
+  }
+  for (const [key, value] of Object.entries(values)) {
+    if (!fileKeys.has(key) && process.env[key]) continue;
+    if (process.env[key] !== value) changed.push(key);
+    process.env[key] = value;
+    fileKeys.add(key);
+  }
+  return changed;
+}
+
+// Quote values other dotenv parsers would cut at whitespace or `#`; loadEnv strips
+// either quote style without unescaping, so pick one the value doesn't contain
+function quoteEnvValue(value) {
+  if (!/[\s#"']/.test(value)) return value;
+  return value.includes('"') ? `'${value}'` : `"${value}"`;
+}
+
+// Set `values` in an env file, keeping its other lines and comments. Secrets live
+// here, so the file is made readable by the owner only.
+export function updateEnvFile(file, values) {
+  const lines = existsSync(file) ? readFileSync(file, "utf-8").split("\n") : [];
+  const pending = new Map(Object.entries(values));
+
+  const updated = lines.map((line) => {
+    const idx = line.indexOf("=");
+    const key = idx === -1 || line.trim().startsWith("#") ? null : line.slice(0, idx).trim();
+    if (!key || !pending.has(key)) return line;
+    const value = pending.get(key);
+    pending.delete(key);
+    return `${key}=${quoteEnvValue(value)}`;
+  });
+  while (updated.length > 0 && updated[updated.length - 1] === "") updated.pop();
+  for (const [key, value] of pending) {
+    updated.push(`${key}=${quoteEnvValue(value)}`);
+  }
+
+  writeFileSync(file, `${updated.join("\n")}\n`, { mode: 0o600 });
+  chmodSync(file, 0o600);
+}
+
+// Call `onChange` (debounced) whenever one of `files` is written, created or
+// removed. Watches the parent directories so editors that replace the file on
+// save are still noticed. The watchers don't keep the process alive.
+export function watchFiles(files, onChange) {
+  const byDir = new Map();
+  for (const file of files) {
+    const dir = dirname(file);
+    if (!byDir.has(dir)) byDir.set(dir, new Set());
+    byDir.get(dir).add(basename(file));
+  }
+
+  let timer = null;
+  const watchers = [];
+  for (const [dir, names] of byDir) {
+    try {
+      const watcher = watch(dir, (eventType, filename) => {
+        if (filename && !names.has(filename.toString())) return;
+        clearTimeout(timer);
+        timer = setTimeout(onChange, WATCH_DEBOUNCE_MS);
+      });
+      watcher.unref();
+      watchers.push(watcher);
+    } catch (error) {
+      console.error(`Cannot watch ${dir}: ${error.message}`);
     }
   }
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+  };
 }
@@ -0,0 +1,128 @@
+// Error taxonomy shared by every tool. Tool failures are returned to the client as
+// results with `isError: true` and a machine-readable code, so an assistant can
+// tell "your cookie expired" apart from "Coursera is down" or "that item doesn't exist".
+
+export const ERROR_CODES = {
+  auth_expired: {
+    retryable: false,
+    hint: "Your Coursera session has expired. Copy a fresh CAUTH cookie from your browser " +
+      "(DevTools > Application > Cookies) into .env.local and try again.",
+  },
+  forbidden: {
+    retryable: false,
+    hint: "Your account doesn't have access to this content. Check that you're enrolled " +
+      "and that the item isn't locked.",
+  },
+  not_found: {
+    retryable: false,
+    hint: "Check the course slug and item ID. They're in the Coursera URL, e.g. " +
+      "/learn/<course_slug>/lecture/<item_id>/...",
+  },
+  rate_limited: {
+    retryable: true,
+    hint: "Coursera is rate limiting requests. Wait a minute and try again.",
+  },
+  timeout: {
+    retryable: true,
+    hint: "Coursera took too long to respond. Try again, or pass a larger timeout_ms.",
+  },
+  scrape_failed: {
+    retryable: true,
+    hint: "The page loaded but its content couldn't be extracted. Try again; if it keeps " +
+      "failing, the page layout may have changed.",
+  },
+  upstream_changed: {
+    retryable: false,
+    hint: "Coursera returned data in an unexpected shape. The server may need an update.",
+  },
+  upstream_unavailable: {
+    retryable: true,
+    hint: "Coursera couldn't be reached or returned a server error. Try again shortly.",
+  },
+  insufficient_scope: {
+    retryable: false,
+    hint: "The access token doesn't grant this. Authorize the client again with the scope " +
+      "named in the message.",
+  },
+  invalid_argument: {
+    retryable: false,
+    hint: "Check the tool arguments and try again.",
+  },
+  internal: {
+    retryable: false,
+    hint: "Unexpected server error. Check the server logs.",
+  },
+};
+
+export class CourseraError extends Error {
+  constructor(code, message, { status, retryable, hint, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "CourseraError";
+    this.code = ERROR_CODES[code] ? code : "internal";
+    this.status = status;
+    this.retryable = retryable ?? ERROR_CODES[this.code].retryable;
+    this.hint = hint ?? ERROR_CODES[this.code].hint;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      hint: this.hint,
+      ...(this.status !== undefined && { status: this.status }),
+    };
+  }
+}
+
+// Map an HTTP error response from Coursera to an error code
+export function errorFromResponse(status, body = "") {
+  const message = `Coursera API error ${status}: ${body.slice(0, 500)}`;
+  if (status === 401) return new CourseraError("auth_expired", message, { status });
+  if (status === 403) return new CourseraError("forbidden", message, { status });
+  if (status === 404) return new CourseraError("not_found", message, { status });
+  if (status === 429) return new CourseraError("rate_limited", message, { status });
+  if (status === 408 || status === 504) return new CourseraError("timeout", message, { status });
+  if (status >= 500) return new CourseraError("upstream_unavailable", message, { status });
+  return new CourseraError("upstream_changed", message, { status });
+}
+
+// Normalize anything thrown by a tool into a CourseraError
+export function toCourseraError(error) {
+  if (error instanceof CourseraError) return error;
+  const message = error instanceof Error ? error.message : String(error);
+  // Puppeteer's TimeoutError and AbortController's AbortError/TimeoutError
+  if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+    return new CourseraError("timeout", message, { cause: error });
+  }
+  // fetch() rejects with a TypeError on DNS, connection and TLS failures
+  if (error instanceof TypeError && /fetch failed/i.test(message)) {
+    return new CourseraError("upstream_unavailable", message, { cause: error });
+  }
+  if (/net::ERR_/.test(message)) {
+    return new CourseraError("upstream_unavailable", message, { cause: error });
+  }
+  return new CourseraError("internal", message, { cause: error });
+}
+
+// Swallow only the listed error codes (resolving to `fallback`), rethrow the rest
+export function ignoreErrors(codes, fallback = null) {
+  return (error) => {
+    const normalized = toCourseraError(error);
+    if (codes.includes(normalized.code)) return fallback;
+    throw normalized;
+  };
+}
+
+export function formatErrorResult(error) {
+  const normalized = toCourseraError(error);
+  return {
+    isError: true,
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ error: normalized.toJSON() }, null, 2),
+      },
+    ],
+  };
+}
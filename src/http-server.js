@@ -2,19 +2,55 @@ import { randomUUID } from "node:crypto";
 import { createMcpExpressApp } from "@modelcontextprotocol/sdk/server/express.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
-import { createCourseraServer, getCourseraConfig } from "./coursera-server.js";
+import { closeBrowserPool, getBrowserPoolStats } from "./browser-pool.js";
+import {
+  SCOPES,
+  checkCourseraSession,
+  createCourseraServer,
+  forgetTenant,
+  getCourseraConfig,
+  requiredScope,
+} from "./coursera-server.js";
+import { defaultCredentials, watchCredentials } from "./credentials.js";
+import { loadEnv } from "./env.js";
+import { toCourseraError } from "./errors.js";
+import { getResourceMetadata, getResourceMetadataUrl, loadOAuthConfig, requireOAuth, requireScopes } from "./oauth.js";
+import { getRequestSchedulerStats } from "./request-scheduler.js";
+import { createTenantRegistry } from "./tenants.js";
+
+loadEnv();
+
+// ?refresh=1 on /health still reuses a check this recent, so callers can't make
+// the server hammer Coursera
+const HEALTH_REFRESH_MIN_AGE_MS = 10 * 1000;
+
+// Multi-tenant mode: MCP_TENANTS_FILE maps API keys to their own Coursera cookies
+let tenants = null;
+if (process.env.MCP_TENANTS_FILE) {
+  try {
+    tenants = createTenantRegistry(process.env.MCP_TENANTS_FILE);
+    tenants.onRemove((tenant) => {
+      forgetTenant(tenant).catch(() => {});
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
 
 // Validate config on startup
 try {
-  getCourseraConfig();
+  if (!tenants) getCourseraConfig();
 } catch (error) {
   console.error(error instanceof Error ? error.message : String(error));
   console.error("\n=== Setup Instructions ===");
+  console.error("Run `npm run login` to log in and save your cookies, or:");
   console.error("1. Open Coursera in your browser and log in");
   console.error("2. Open DevTools (F12) > Application > Cookies");
   console.error("3. Find the CAUTH cookie and copy its value");
   console.error("4. Create .env.local with: COURSERA_CAUTH=<your_cauth_value>");
   console.error("   Or copy all cookies: COURSERA_COOKIES=<all_cookies>");
+  console.error("   Or export a cookies.txt and set COURSERA_COOKIE_FILE=<path>");
   console.error("===========================\n");
   process.exit(1);
 }
@@ -33,11 +69,22 @@ function loadHttpConfig() {
   const portValue = Number.parseInt(process.env.MCP_HTTP_PORT ?? "", 10);
   const port = Number.isFinite(portValue) ? portValue : 3334;
   const apiKey = process.env.MCP_API_KEY;
+  // Updating credentials is more sensitive than calling tools, so it can have its
+  // own key. MCP_API_KEY stands in for it, except with tenants, where it's unused.
+  const adminKey = process.env.MCP_ADMIN_KEY || (tenants ? undefined : apiKey);
   const allowedHosts = parseCsv(process.env.MCP_ALLOWED_HOSTS);
-  return { host, port, apiKey, allowedHosts };
+  return { host, port, apiKey, adminKey, allowedHosts };
+}
+
+const { host, port, apiKey, adminKey, allowedHosts } = loadHttpConfig();
+
+// OAuth mode: MCP_OAUTH_ISSUER makes /mcp accept access tokens from that issuer
+const oauth = loadOAuthConfig({ host, port });
+if (oauth && tenants) {
+  console.error("MCP_OAUTH_ISSUER can't be combined with MCP_TENANTS_FILE: tenants are chosen by API key");
+  process.exit(1);
 }
 
-const { host, port, apiKey, allowedHosts } = loadHttpConfig();
 const app = createMcpExpressApp({
   host,
   allowedHosts,
@@ -72,8 +119,80 @@ function respondJsonRpcError(res, status, code, message) {
   });
 }
 
-// Optional API key authentication
-if (apiKey) {
+// Replace the Coursera cookies without a restart. Takes a JSON body with one of
+// `cookies` (a Cookie header), `cauth`, or `cookie_jar` (Netscape cookies.txt text
+// or a browser-exported JSON cookie array), plus `tenant` (an id) in multi-tenant
+// mode. Registered before the API key check, which would otherwise reject the
+// admin key.
+app.post("/admin/credentials", async (req, res) => {
+  if (!adminKey) {
+    res.status(403).json({
+      error: `Admin endpoint disabled: set MCP_ADMIN_KEY${tenants ? "" : " or MCP_API_KEY"}`,
+    });
+    return;
+  }
+  if (extractApiKey(req) !== adminKey) {
+    res.status(401).json({ error: "Unauthorized" });
+    return;
+  }
+
+  const { cookies, cauth, cookie_jar, tenant: tenantId } = req.body ?? {};
+  let credentials = defaultCredentials;
+  if (tenants) {
+    credentials = tenants.get(tenantId)?.credentials;
+    if (!credentials) {
+      res.status(404).json({ error: `Unknown tenant: ${tenantId}` });
+      return;
+    }
+  }
+
+  try {
+    const changed = credentials.set({ cookies, cauth, cookie_jar }, "POST /admin/credentials");
+    const session = await checkCourseraSession({ maxAgeMs: 0, credentials });
+    res.json({ updated: changed, session });
+  } catch (error) {
+    const normalized = toCourseraError(error);
+    res.status(normalized.code === "invalid_argument" ? 400 : 500).json({ error: normalized.toJSON() });
+  }
+});
+
+// Tells OAuth clients which authorization server to get a token from and which
+// scopes exist. Public, so it's registered before the token check.
+if (oauth) {
+  const metadata = getResourceMetadata(oauth, Object.values(SCOPES));
+  const metadataPath = new URL(getResourceMetadataUrl(oauth)).pathname;
+  app.get([metadataPath, "/.well-known/oauth-protected-resource"], (req, res) => {
+    res.json(metadata);
+  });
+}
+
+// In OAuth mode requests need an access token, or the static API key (which gets
+// every scope), and MCP requests need the scope their method calls for. In
+// multi-tenant mode the API key picks the tenant; unknown keys are rejected.
+if (oauth) {
+  try {
+    app.use(requireOAuth(oauth, {
+      scopes: Object.values(SCOPES),
+      staticKey: apiKey,
+      extractKey: extractApiKey,
+    }));
+  } catch (error) {
+    console.error(`Cannot load OAuth signing keys: ${error.message}`);
+    process.exit(1);
+  }
+  app.use("/mcp", requireScopes(oauth, requiredScope));
+} else if (tenants) {
+  app.use((req, res, next) => {
+    const tenant = tenants.findByApiKey(extractApiKey(req));
+    if (!tenant) {
+      respondJsonRpcError(res, 401, -32000, "Unauthorized");
+      return;
+    }
+    req.tenant = tenant;
+    next();
+  });
+} else if (apiKey) {
+  // Optional API key authentication
   app.use((req, res, next) => {
     const provided = extractApiKey(req);
     if (!provided || provided !== apiKey) {
@@ -86,8 +205,16 @@ if (apiKey) {
 
 const sessions = new Map();
 
-function storeSession(sessionId, transport, server) {
-  sessions.set(sessionId, { transport, server });
+// Who a session belongs to: the tenant, or the OAuth client and token subject.
+// null when there's a single API key or none.
+function sessionOwner(req) {
+  if (req.tenant) return `tenant:${req.tenant.id}`;
+  if (req.auth) return `oauth:${req.auth.clientId}:${req.auth.extra?.subject ?? ""}`;
+  return null;
+}
+
+function storeSession(sessionId, transport, server, owner) {
+  sessions.set(sessionId, { transport, server, owner });
 }
 
 async function cleanupSession(sessionId) {
@@ -133,6 +260,16 @@ async function getStreamableTransport(req, res) {
       );
       return null;
     }
+    // A session only answers to the tenant or token holder that initialized it
+    if (session.owner !== sessionOwner(req)) {
+      respondJsonRpcError(
+        res,
+        403,
+        -32000,
+        "Forbidden: Session belongs to a different caller"
+      );
+      return null;
+    }
     if (!(session.transport instanceof StreamableHTTPServerTransport)) {
       respondJsonRpcError(
         res,
@@ -155,11 +292,11 @@ async function getStreamableTransport(req, res) {
     return null;
   }
 
-  const server = createCourseraServer();
+  const server = createCourseraServer({ tenant: req.tenant });
   const transport = new StreamableHTTPServerTransport({
     sessionIdGenerator: () => randomUUID(),
     onsessioninitialized: (sid) => {
-      storeSession(sid, transport, server);
+      storeSession(sid, transport, server, sessionOwner(req));
     },
   });
   transport.onclose = () => {
@@ -186,11 +323,31 @@ app.all("/mcp", async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", service: "coursera-mcp" });
+// Without an API key, OAuth or tenants, anyone who can reach the server gets here
+const authenticated = !!(oauth || tenants || apiKey);
+
+// Health check endpoint. Checks the Coursera session at most once a minute;
+// ?refresh=1 asks for a fresh check, at most one every 10 seconds. Who the
+// session belongs to is only shown to authenticated callers. Also reports the
+// request scheduler's and the browser pool's load.
+app.get("/health", async (req, res) => {
+  const { user_id, name, ...session } = await checkCourseraSession({
+    maxAgeMs: req.query.refresh ? HEALTH_REFRESH_MIN_AGE_MS : undefined,
+    credentials: req.tenant?.credentials,
+  });
+  const healthy = session.valid !== false && !session.login_redirect.redirecting;
+  res.json({
+    status: healthy ? "ok" : "degraded",
+    service: "coursera-mcp",
+    ...(req.tenant && { tenant: req.tenant.id }),
+    session: authenticated ? { ...session, user_id, name } : session,
+    requests: getRequestSchedulerStats(),
+    browser: getBrowserPoolStats(),
+  });
 });
 
+const stopWatchingCredentials = tenants ? tenants.watch() : watchCredentials();
+
 const httpServer = app.listen(port, host, (error) => {
   if (error) {
     console.error("Failed to start server:", error);
@@ -203,7 +360,12 @@ const httpServer = app.listen(port, host, (error) => {
   console.log(`MCP endpoint: http://${host}:${port}/mcp`);
   console.log(`\nTo connect from Poke:`);
   console.log(`  Server URL: http://localhost:${port}/mcp`);
-  if (apiKey) {
+  if (oauth) {
+    console.log(`  OAuth issuer: ${oauth.issuer}`);
+    console.log(`  Resource: ${oauth.resource}`);
+  } else if (tenants) {
+    console.log(`  Tenants: ${tenants.list().map((tenant) => tenant.id).join(", ")}`);
+  } else if (apiKey) {
     console.log(`  API Key: (configured)`);
   }
   console.log(`========================================\n`);
@@ -215,6 +377,8 @@ process.on("SIGINT", async () => {
   for (const sessionId of sessionIds) {
     await shutdownSession(sessionId);
   }
+  stopWatchingCredentials();
+  await closeBrowserPool();
   httpServer.close(() => {
     process.exit(0);
   });
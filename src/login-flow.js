@@ -0,0 +1,144 @@
+import { createHmac } from "node:crypto";
+
+// Drives Coursera's email/password login form in a Puppeteer page and returns the
+// session cookies. The login URL is configurable so the flow can run against a
+// local mock page; the selectors cover Coursera's form and plain HTML equivalents.
+
+export const DEFAULT_LOGIN_URL = "https://www.coursera.org/?authMode=login";
+const DEFAULT_TIMEOUT_MS = 60000;
+const POLL_INTERVAL_MS = 250;
+
+const SELECTORS = {
+  email: 'input[name="email"], input[type="email"]',
+  password: 'input[name="password"], input[type="password"]',
+  submit: 'button[type="submit"], input[type="submit"], [data-e2e="login-form-submit-button"]',
+  totp: 'input[name="code"], input[name="totp"], input[autocomplete="one-time-code"]',
+  error: '[data-e2e="login-error"], [data-testid="login-error"], [role="alert"]',
+  captcha: 'iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="captcha"]',
+};
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Decode(secret) {
+  const clean = secret.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = "";
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character in TOTP secret: ${char}`);
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(Number.parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 6238 TOTP (SHA-1, 30s step, 6 digits), as used by authenticator apps
+export function generateTotp(secret, time = Date.now()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / 30)));
+  const hmac = createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(code).padStart(6, "0");
+}
+
+async function isVisible(page, selector) {
+  const handle = await page.$(selector);
+  if (!handle) return false;
+  const box = await handle.boundingBox().catch(() => null);
+  await handle.dispose();
+  return box !== null;
+}
+
+async function fill(page, selector, value) {
+  const field = await page.waitForSelector(selector, { visible: true });
+  // Clear anything the browser autofilled
+  await field.click({ count: 3 });
+  await field.press("Backspace");
+  await field.type(value);
+  await field.dispose();
+}
+
+async function submit(page, field) {
+  if (await page.$(SELECTORS.submit)) {
+    await page.click(SELECTORS.submit);
+  } else {
+    await page.focus(field);
+    await page.keyboard.press("Enter");
+  }
+}
+
+// Poll until the login succeeds (a cookie named `sessionCookie` appears), the page
+// asks for a two-factor code, shows an error, or shows a CAPTCHA
+async function waitForOutcome(page, { sessionCookie, timeout, expectTotp }) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const cookies = await page.cookies();
+    if (cookies.some((cookie) => cookie.name === sessionCookie && cookie.value)) {
+      return { type: "authenticated", cookies };
+    }
+    if (expectTotp && await isVisible(page, SELECTORS.totp)) {
+      return { type: "totp" };
+    }
+    if (await isVisible(page, SELECTORS.error)) {
+      const message = await page.$eval(SELECTORS.error, (el) => el.textContent.trim()).catch(() => "");
+      if (message) return { type: "error", message };
+    }
+    if (await page.$(SELECTORS.captcha)) {
+      return { type: "captcha" };
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return { type: "timeout" };
+}
+
+function failure(outcome) {
+  switch (outcome.type) {
+    case "error":
+      return new Error(`Login failed: ${outcome.message}`);
+    case "captcha":
+      return new Error("Coursera is asking for a CAPTCHA. Run again with --show-browser and solve it in the window.");
+    default:
+      return new Error("Timed out waiting for the login to complete");
+  }
+}
+
+// Log in and return the page's cookies. `getTotpCode` is called only if the site
+// asks for a two-factor code and may return a promise (e.g. to prompt the user).
+export async function loginWithPassword(page, {
+  email,
+  password,
+  getTotpCode,
+  loginUrl = DEFAULT_LOGIN_URL,
+  sessionCookie = "CAUTH",
+  timeout = DEFAULT_TIMEOUT_MS,
+}) {
+  page.setDefaultTimeout(timeout);
+  await page.goto(loginUrl, { waitUntil: "domcontentloaded" });
+
+  await fill(page, SELECTORS.email, email);
+  // Some variants ask for the email first and reveal the password field after
+  if (!(await isVisible(page, SELECTORS.password))) {
+    await submit(page, SELECTORS.email);
+  }
+  await fill(page, SELECTORS.password, password);
+  await submit(page, SELECTORS.password);
+
+  let outcome = await waitForOutcome(page, { sessionCookie, timeout, expectTotp: true });
+  if (outcome.type === "totp") {
+    const code = await getTotpCode?.();
+    if (!code) {
+      throw new Error("Coursera asked for a two-factor code; pass --totp or --totp-secret");
+    }
+    await fill(page, SELECTORS.totp, code);
+    await submit(page, SELECTORS.totp);
+    outcome = await waitForOutcome(page, { sessionCookie, timeout, expectTotp: false });
+  }
+
+  if (outcome.type !== "authenticated") {
+    throw failure(outcome);
+  }
+  return outcome.cookies;
+}
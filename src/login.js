@@ -0,0 +1,128 @@
+import { writeFileSync, chmodSync } from "node:fs";
+import { resolve } from "node:path";
+import { createInterface } from "node:readline/promises";
+import { Writable } from "node:stream";
+import { parseArgs } from "node:util";
+import puppeteer from "puppeteer";
+import { formatCookieJar } from "./credentials.js";
+import { ENV_FILES, loadEnv, updateEnvFile } from "./env.js";
+import { DEFAULT_LOGIN_URL, generateTotp, loginWithPassword } from "./login-flow.js";
+
+const USAGE = `Usage: npm run login -- [options]
+
+Logs in to Coursera in a headless browser and saves the session cookies.
+
+Options:
+  --email <address>        Account email (or COURSERA_EMAIL; prompted if missing)
+  --totp <code>            Two-factor code, if your account uses one
+  --totp-secret <base32>   Authenticator secret to generate the code (or COURSERA_TOTP_SECRET)
+  --env-file <path>        Env file to write COURSERA_CAUTH/COURSERA_COOKIES to (default .env.local)
+  --cookie-file <path>     Write a cookies.txt (mode 600) instead, for COURSERA_COOKIE_FILE
+  --login-url <url>        Login page (default ${DEFAULT_LOGIN_URL}, or COURSERA_LOGIN_URL)
+  --show-browser           Open a visible browser window, e.g. to solve a CAPTCHA
+  --timeout-ms <ms>        How long to wait for each step (default 60000)
+  -h, --help               Show this help
+
+The password is read from COURSERA_PASSWORD or prompted for without echo.`;
+
+function parseCliArgs() {
+  const { values } = parseArgs({
+    options: {
+      email: { type: "string" },
+      totp: { type: "string" },
+      "totp-secret": { type: "string" },
+      "env-file": { type: "string" },
+      "cookie-file": { type: "string" },
+      "login-url": { type: "string" },
+      "show-browser": { type: "boolean", default: false },
+      "timeout-ms": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  return values;
+}
+
+// Prompt on the terminal; hidden answers aren't echoed
+async function prompt(question, { hidden = false } = {}) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`Cannot prompt for "${question.replace(/:\s*$/, "")}" without a terminal`);
+  }
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    },
+  });
+  const rl = createInterface({ input: process.stdin, output, terminal: true });
+  try {
+    const answer = rl.question(question);
+    muted = hidden;
+    return (await answer).trim();
+  } finally {
+    rl.close();
+    if (hidden) process.stdout.write("\n");
+  }
+}
+
+function saveCookies(cookies, { envFile, cookieFile }) {
+  if (cookieFile) {
+    const path = resolve(cookieFile);
+    writeFileSync(path, formatCookieJar(cookies), { mode: 0o600 });
+    chmodSync(path, 0o600);
+    return `Saved ${cookies.length} cookies to ${path}. Set COURSERA_COOKIE_FILE=${path} to use them.`;
+  }
+
+  const path = resolve(envFile || ENV_FILES[0]);
+  const cauth = cookies.find((cookie) => cookie.name === "CAUTH")?.value;
+  updateEnvFile(path, {
+    COURSERA_CAUTH: cauth,
+    COURSERA_COOKIES: cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join("; "),
+  });
+  return `Saved Coursera session cookies to ${path}.`;
+}
+
+async function main() {
+  const args = parseCliArgs();
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  loadEnv();
+
+  const email = args.email || process.env.COURSERA_EMAIL || await prompt("Coursera email: ");
+  const password = process.env.COURSERA_PASSWORD || await prompt("Password: ", { hidden: true });
+  if (!email || !password) {
+    throw new Error("Email and password are required");
+  }
+  const totpSecret = args["totp-secret"] || process.env.COURSERA_TOTP_SECRET;
+  const getTotpCode = async () =>
+    args.totp || (totpSecret && generateTotp(totpSecret)) || prompt("Two-factor code: ");
+
+  const timeout = Number.parseInt(args["timeout-ms"] ?? "", 10);
+  const browser = await puppeteer.launch({
+    headless: !args["show-browser"],
+    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+  });
+  try {
+    const page = await browser.newPage();
+    const cookies = await loginWithPassword(page, {
+      email,
+      password,
+      getTotpCode,
+      loginUrl: args["login-url"] || process.env.COURSERA_LOGIN_URL || DEFAULT_LOGIN_URL,
+      timeout: Number.isFinite(timeout) && timeout > 0 ? timeout : undefined,
+    });
+    console.log(saveCookies(cookies, {
+      envFile: args["env-file"],
+      cookieFile: args["cookie-file"],
+    }));
+  } finally {
+    await browser.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : String(error));
+  process.exit(1);
+});
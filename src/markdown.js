@@ -0,0 +1,206 @@
+import { parse, NodeType } from "node-html-parser";
+
+// Link targets treated as downloadable attachments rather than page links
+const ATTACHMENT_PATTERN = /\.(pdf|zip|docx?|pptx?|xlsx?|csv|ipynb|py|r|txt|json|mp3|mp4)(?:[?#]|$)|\/api\/assetProxy/i;
+
+const SKIP_TAGS = new Set(["script", "style", "noscript", "button", "svg", "iframe", "form", "input"]);
+const BLOCK_TAGS = new Set([
+  "p", "div", "section", "article", "main", "header", "footer", "aside", "figure", "figcaption",
+  "ul", "ol", "table", "pre", "blockquote", "hr", "h1", "h2", "h3", "h4", "h5", "h6",
+]);
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, " ");
+}
+
+// MathJax/CML delimiters \( \) and \[ \] become $ and $$
+function convertMathDelimiters(text) {
+  return text
+    .replace(/\\\[([\s\S]+?)\\\]/g, (_, tex) => `$$${tex.trim()}$$`)
+    .replace(/\\\(([\s\S]+?)\\\)/g, (_, tex) => `$${tex.trim()}$`);
+}
+
+function escapeTableCell(text) {
+  return text.replace(/\|/g, "\\|").replace(/\n+/g, " ").trim();
+}
+
+// LaTeX source for a math element, from MathJax script tags or MathML annotations
+function extractTex(el) {
+  const tag = el.rawTagName?.toLowerCase();
+  if (tag === "script" && /math\/tex/i.test(el.getAttribute("type") || "")) {
+    const display = /mode=display/i.test(el.getAttribute("type"));
+    return { tex: el.text.trim(), display };
+  }
+  const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+  if (annotation) {
+    const display = (el.querySelector("math")?.getAttribute("display") || el.getAttribute("display")) === "block";
+    return { tex: annotation.text.trim(), display };
+  }
+  return null;
+}
+
+function isMathContainer(el) {
+  const tag = el.rawTagName?.toLowerCase();
+  if (tag === "math" || tag === "mjx-container") return true;
+  if (tag === "script") return /math\/tex/i.test(el.getAttribute("type") || "");
+  const className = el.getAttribute("class") || "";
+  return /\bMathJax(_Display|_SVG|_CHTML)?\b/.test(className) && !!extractTex(el);
+}
+
+function createConverter(baseUrl) {
+  const images = [];
+  const attachments = [];
+
+  function inline(nodes) {
+    return nodes.map(node => convertNode(node, { inline: true })).join("");
+  }
+
+  function block(nodes, depth = 0) {
+    return nodes
+      .map(node => convertNode(node, { depth }))
+      .join("")
+      .replace(/\n{3,}/g, "\n\n");
+  }
+
+  function convertList(el, depth) {
+    const ordered = el.rawTagName.toLowerCase() === "ol";
+    const start = Number.parseInt(el.getAttribute("start"), 10) || 1;
+    const indent = "  ".repeat(depth);
+    const items = el.childNodes.filter(child => child.rawTagName?.toLowerCase() === "li");
+
+    const lines = items.map((li, idx) => {
+      const marker = ordered ? `${start + idx}.` : "-";
+      const nested = li.childNodes.filter(child => ["ul", "ol"].includes(child.rawTagName?.toLowerCase()));
+      const content = li.childNodes.filter(child => !nested.includes(child));
+      const text = block(content, depth + 1).trim().replace(/\n+/g, `\n${indent}  `);
+      const sublists = nested.map(list => convertList(list, depth + 1)).join("\n");
+      return `${indent}${marker} ${text}${sublists ? `\n${sublists}` : ""}`;
+    });
+    return lines.join("\n");
+  }
+
+  function convertTable(el) {
+    const rows = el.querySelectorAll("tr").map(tr =>
+      tr.childNodes
+        .filter(cell => ["td", "th"].includes(cell.rawTagName?.toLowerCase()))
+        .map(cell => escapeTableCell(inline(cell.childNodes)))
+    ).filter(row => row.length > 0);
+    if (rows.length === 0) return "";
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(width - row.length).fill("")];
+    const [header, ...body] = rows.map(pad);
+    return [
+      `| ${header.join(" | ")} |`,
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...body.map(row => `| ${row.join(" | ")} |`),
+    ].join("\n");
+  }
+
+  function convertNode(node, { inline: isInline = false, depth = 0 } = {}) {
+    if (node.nodeType === NodeType.TEXT_NODE) {
+      return convertMathDelimiters(collapseWhitespace(node.text));
+    }
+    if (node.nodeType !== NodeType.ELEMENT_NODE) return "";
+
+    const tag = node.rawTagName?.toLowerCase();
+
+    if (isMathContainer(node)) {
+      const math = extractTex(node);
+      if (!math) return "";
+      return math.display ? `\n\n$$${math.tex}$$\n\n` : `$${math.tex}$`;
+    }
+    // Rendered MathJax output duplicates the TeX source kept in a sibling script
+    if (/\bMathJax(_Preview|_Display|_SVG|_CHTML)?\b|\bMJX_Assistive_MathML\b/.test(node.getAttribute("class") || "")) return "";
+    if (SKIP_TAGS.has(tag)) return "";
+
+    const children = () => inline(node.childNodes);
+
+    switch (tag) {
+      case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+        return `\n\n${"#".repeat(Number(tag[1]))} ${children().trim()}\n\n`;
+      case "br":
+        return "  \n";
+      case "hr":
+        return "\n\n---\n\n";
+      case "strong": case "b": {
+        const text = children().trim();
+        return text ? `**${text}**` : "";
+      }
+      case "em": case "i": {
+        const text = children().trim();
+        return text ? `_${text}_` : "";
+      }
+      case "code":
+        return `\`${node.text}\``;
+      case "pre": {
+        const code = node.querySelector("code");
+        const language = (code?.getAttribute("class") || node.getAttribute("class") || "")
+          .match(/(?:language|lang)-([\w+-]+)/)?.[1] || "";
+        return `\n\n\`\`\`${language}\n${(code || node).text.replace(/\n$/, "")}\n\`\`\`\n\n`;
+      }
+      case "a": {
+        const text = children().trim();
+        const href = resolveUrl(node.getAttribute("href"), baseUrl);
+        if (!href || href.startsWith("javascript:")) return text;
+        if (ATTACHMENT_PATTERN.test(href)) {
+          attachments.push({ name: text || href.split("/").pop(), url: href });
+        }
+        return `[${text || href}](${href})`;
+      }
+      case "img": {
+        const src = resolveUrl(node.getAttribute("src") || node.getAttribute("data-src"), baseUrl);
+        if (!src) return "";
+        const alt = node.getAttribute("alt") || "";
+        images.push({ alt, url: src });
+        return `![${alt}](${src})`;
+      }
+      case "ul": case "ol":
+        return `\n\n${convertList(node, depth)}\n\n`;
+      case "table":
+        return `\n\n${convertTable(node)}\n\n`;
+      case "blockquote": {
+        const text = block(node.childNodes, depth).trim();
+        return `\n\n${text.split("\n").map(line => `> ${line}`).join("\n")}\n\n`;
+      }
+      default: {
+        if (BLOCK_TAGS.has(tag) && !isInline) {
+          return `\n\n${block(node.childNodes, depth).trim()}\n\n`;
+        }
+        return children();
+      }
+    }
+  }
+
+  return { block, images, attachments };
+}
+
+// Convert an HTML fragment to Markdown. Relative links and images are resolved
+// against baseUrl; images and downloadable attachments are also listed separately.
+export function htmlToMarkdown(html, baseUrl) {
+  const root = parse(html || "", {
+    blockTextElements: { script: true, style: true },
+  });
+  const { block, images, attachments } = createConverter(baseUrl);
+  const markdown = block(root.childNodes)
+    .split("\n")
+    .map(line => line.replace(/[ \t]+$/g, (ws) => (ws === "  " ? ws : "")))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return {
+    markdown,
+    images: [...new Map(images.map(image => [image.url, image])).values()],
+    attachments: [...new Map(attachments.map(file => [file.url, file])).values()],
+  };
+}
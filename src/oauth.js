@@ -0,0 +1,155 @@
+import { createPublicKey } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { InsufficientScopeError, InvalidTokenError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
+import { requireBearerAuth } from "@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js";
+import { getOAuthProtectedResourceMetadataUrl } from "@modelcontextprotocol/sdk/server/auth/router.js";
+import { createLocalJWKSet, createRemoteJWKSet, errors as joseErrors, jwtVerify } from "jose";
+
+// OAuth 2.1 resource server support for the HTTP transport, following the MCP
+// authorization spec: clients get an access token (a JWT) from an external
+// authorization server and send it as a Bearer token. We publish protected-resource
+// metadata (RFC 9728) pointing at that server, check the token's signature, issuer,
+// audience and expiry, and hand its scopes to the tool handlers.
+
+// Lifetime reported for the static API key, which never expires on its own
+const STATIC_KEY_TTL_SECONDS = 60 * 60;
+
+// null unless MCP_OAUTH_ISSUER is set. The signing keys come from
+// MCP_OAUTH_PUBLIC_KEY_FILE (PEM, JWK or JWKS), MCP_OAUTH_JWKS_URL, or the
+// issuer's /.well-known/jwks.json.
+export function loadOAuthConfig({ host, port }) {
+  const issuer = process.env.MCP_OAUTH_ISSUER?.trim();
+  if (!issuer) return null;
+
+  const publicUrl = (process.env.MCP_PUBLIC_URL?.trim() || `http://${host}:${port}`).replace(/\/+$/, "");
+  const resource = `${publicUrl}/mcp`;
+  const publicKeyFile = process.env.MCP_OAUTH_PUBLIC_KEY_FILE?.trim() || null;
+  return {
+    issuer,
+    resource,
+    audience: process.env.MCP_OAUTH_AUDIENCE?.trim() || resource,
+    publicKeyFile: publicKeyFile && resolve(publicKeyFile),
+    jwksUrl: publicKeyFile
+      ? null
+      : process.env.MCP_OAUTH_JWKS_URL?.trim() || new URL(".well-known/jwks.json", `${issuer.replace(/\/+$/, "")}/`).href,
+  };
+}
+
+// A key (or key lookup function) for jwtVerify from a PEM public key or
+// certificate, a single JWK, or a JWKS
+function readPublicKeyFile(file) {
+  const text = readFileSync(file, "utf-8").trim();
+  if (!text.startsWith("{")) {
+    return createPublicKey(text);
+  }
+  const parsed = JSON.parse(text);
+  return createLocalJWKSet(Array.isArray(parsed.keys) ? parsed : { keys: [parsed] });
+}
+
+// Scopes come as a space-separated `scope` claim (RFC 9068) or an `scp` array
+function readScopes(payload) {
+  if (typeof payload.scope === "string") {
+    return payload.scope.split(" ").filter(Boolean);
+  }
+  if (Array.isArray(payload.scp)) {
+    return payload.scp.map(String);
+  }
+  return typeof payload.scp === "string" ? payload.scp.split(" ").filter(Boolean) : [];
+}
+
+// Verifies access tokens for requireBearerAuth; resolves to the SDK's AuthInfo
+export function createTokenVerifier(config) {
+  const key = config.publicKeyFile
+    ? readPublicKeyFile(config.publicKeyFile)
+    : createRemoteJWKSet(new URL(config.jwksUrl));
+
+  async function verifyAccessToken(token) {
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(token, key, {
+        issuer: config.issuer,
+        audience: config.audience,
+        requiredClaims: ["exp"],
+      }));
+    } catch (error) {
+      if (error instanceof joseErrors.JOSEError) {
+        throw new InvalidTokenError(`Invalid access token: ${error.message}`);
+      }
+      throw error;
+    }
+    return {
+      token,
+      clientId: String(payload.client_id ?? payload.azp ?? payload.sub ?? ""),
+      scopes: readScopes(payload),
+      expiresAt: payload.exp,
+      resource: new URL(config.resource),
+      extra: { subject: payload.sub },
+    };
+  }
+
+  return { verifyAccessToken };
+}
+
+export function getResourceMetadataUrl(config) {
+  return getOAuthProtectedResourceMetadataUrl(new URL(config.resource));
+}
+
+// RFC 9728 protected-resource metadata
+export function getResourceMetadata(config, scopes) {
+  return {
+    resource: config.resource,
+    authorization_servers: [config.issuer],
+    scopes_supported: scopes,
+    bearer_methods_supported: ["header"],
+    resource_name: "Coursera MCP Server",
+  };
+}
+
+// Express middleware that accepts a valid access token, or `staticKey` (from
+// `extractKey(req)`) for simple setups. Both set req.auth; the static key is
+// granted every scope in `scopes`.
+export function requireOAuth(config, { scopes, staticKey, extractKey }) {
+  const bearer = requireBearerAuth({
+    verifier: createTokenVerifier(config),
+    resourceMetadataUrl: getResourceMetadataUrl(config),
+  });
+
+  return (req, res, next) => {
+    if (staticKey && extractKey(req) === staticKey) {
+      req.auth = {
+        token: staticKey,
+        clientId: "static-api-key",
+        scopes,
+        expiresAt: Math.floor(Date.now() / 1000) + STATIC_KEY_TTL_SECONDS,
+      };
+      next();
+      return;
+    }
+    bearer(req, res, next);
+  };
+}
+
+// Express middleware that rejects JSON-RPC requests (single or batched) needing a
+// scope the caller's token lacks, with 403 and an insufficient_scope challenge, as
+// RFC 6750 asks. `scopeFor(message)` returns the scope a message needs, or null.
+export function requireScopes(config, scopeFor) {
+  const resourceMetadataUrl = getResourceMetadataUrl(config);
+
+  return (req, res, next) => {
+    const messages = Array.isArray(req.body) ? req.body : [req.body];
+    const granted = req.auth?.scopes ?? [];
+    const missing = [...new Set(messages.map(scopeFor))].filter((scope) => scope && !granted.includes(scope));
+    if (missing.length === 0) {
+      next();
+      return;
+    }
+    const scope = missing.join(" ");
+    const error = new InsufficientScopeError(`This request needs the ${scope} scope`);
+    res.set(
+      "WWW-Authenticate",
+      `Bearer error="${error.errorCode}", error_description="${error.message}", scope="${scope}", resource_metadata="${resourceMetadataUrl}"`
+    );
+    res.status(403).json(error.toResponseObject());
+  };
+}
@@ -0,0 +1,135 @@
+// Readiness detection for scraped pages: instead of sleeping a fixed time after
+// navigation, wait for the content selector, the API responses the page renders
+// from, and then for the DOM to stop changing.
+
+const DEFAULT_TIMEOUT_MS = 30000;
+// How long the DOM must stay unchanged to count as settled
+const QUIET_MS = 300;
+const MAX_SETTLE_MS = 3000;
+// Once the content selector shows up, expected responses get this much longer
+const RESPONSE_GRACE_MS = 1000;
+
+function waitForDomQuiet(page, quietMs, maxMs) {
+  return page.evaluate((quiet, max) => new Promise((resolve) => {
+    let finished = false;
+    let timer = null;
+    const observer = new MutationObserver(() => {
+      clearTimeout(timer);
+      timer = setTimeout(done, quiet);
+    });
+    function done() {
+      if (finished) return;
+      finished = true;
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve();
+    }
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    timer = setTimeout(done, quiet);
+    setTimeout(done, max);
+  }), quietMs, maxMs);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Wait for whichever selector appears first; resolves with its name, or null if neither does
+async function waitForFirstSelector(page, selectors, timeout) {
+  const controller = new AbortController();
+  const waits = Object.entries(selectors).map(([name, selector]) =>
+    page.waitForSelector(selector, { timeout, signal: controller.signal })
+      .then(() => name)
+      .catch(() => null)
+  );
+  const first = await new Promise((resolve) => {
+    let pending = waits.length;
+    for (const wait of waits) {
+      wait.then((name) => {
+        if (name) resolve(name);
+        else if (--pending === 0) resolve(null);
+      });
+    }
+  });
+  controller.abort();
+  return first;
+}
+
+// Navigate to `url` and wait until the page is ready. Never throws on readiness
+// timeouts (the caller scrapes whatever rendered); only navigation failures throw.
+// If the page lands on a URL matching `stopUrl` or `stopSelector` shows up first
+// (e.g. a login redirect), stop waiting and return with `stopped: true`.
+// Returns per-phase timings in milliseconds.
+export async function gotoWhenReady(page, url, {
+  selector,
+  responses = [],
+  stopSelector,
+  stopUrl,
+  timeout = DEFAULT_TIMEOUT_MS,
+} = {}) {
+  const started = Date.now();
+  // Puppeteer treats a 0ms timeout as "wait forever"
+  const remaining = () => Math.max(timeout - (Date.now() - started), 1);
+  const elapsed = (since) => Date.now() - since;
+
+  // Listen before navigating so early responses aren't missed
+  const responseWaits = responses.map((pattern) =>
+    page.waitForResponse((response) => pattern.test(response.url()), { timeout })
+      .then(() => true)
+      .catch(() => false)
+  );
+
+  await page.goto(url, { waitUntil: "domcontentloaded", timeout });
+  const timing = { url, navigation_ms: elapsed(started) };
+  const stop = () => {
+    timing.stopped = true;
+    timing.total_ms = elapsed(started);
+    timing.ready = false;
+    return timing;
+  };
+  if (stopUrl?.test(page.url())) return stop();
+
+  let selectorMatched = null;
+  if (selector) {
+    const selectorStarted = Date.now();
+    const matched = await waitForFirstSelector(
+      page,
+      { ready: selector, ...(stopSelector && { stop: stopSelector }) },
+      remaining()
+    );
+    timing.selector_ms = elapsed(selectorStarted);
+    if (matched === "stop") return stop();
+    selectorMatched = matched === "ready";
+  }
+
+  let responsesSeen = null;
+  if (responseWaits.length > 0) {
+    const responsesStarted = Date.now();
+    const budget = selectorMatched ? Math.min(RESPONSE_GRACE_MS, remaining()) : remaining();
+    const seen = await withTimeout(Promise.all(responseWaits), budget);
+    responsesSeen = Array.isArray(seen) && seen.every(Boolean);
+    timing.responses_ms = elapsed(responsesStarted);
+    timing.responses_seen = responsesSeen;
+  }
+
+  const settleStarted = Date.now();
+  await waitForDomQuiet(page, QUIET_MS, Math.min(MAX_SETTLE_MS, remaining())).catch(() => {});
+  timing.settle_ms = elapsed(settleStarted);
+
+  timing.total_ms = elapsed(started);
+  // Server-rendered pages may never fetch the expected responses; the selector decides
+  timing.ready = selectorMatched === null ? responsesSeen !== false : selectorMatched;
+  return timing;
+}
+
+// Timing summary for a tool call that loaded zero or more pages
+export function summarizeTimings(started, pages) {
+  return {
+    total_ms: Date.now() - started,
+    pages,
+  };
+}
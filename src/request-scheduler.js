@@ -0,0 +1,183 @@
+// Scheduler for Coursera API requests: per-host concurrency limit, token-bucket
+// rate limit, per-request timeouts, and retries with exponential backoff and
+// jitter on 429/5xx responses and network errors.
+
+const DEFAULT_MAX_CONCURRENT_PER_HOST = 4;
+const DEFAULT_RATE_PER_SECOND = 5;
+const DEFAULT_BURST = 10;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// AbortSignal.any() needs Node 20.3; forward the caller's abort by hand instead.
+// release() drops the listener on the caller's signal, which may outlive many
+// requests; the timeout keeps applying while the body is read.
+function withTimeoutSignal(signal, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return { signal: timeout, release() {} };
+  const controller = new AbortController();
+  if (signal.aborted) {
+    controller.abort(signal.reason);
+    return { signal: controller.signal, release() {} };
+  }
+  const onAbort = () => controller.abort(signal.reason);
+  signal.addEventListener("abort", onAbort, { once: true });
+  timeout.addEventListener("abort", () => controller.abort(timeout.reason), { once: true });
+  return {
+    signal: controller.signal,
+    release: () => signal.removeEventListener("abort", onAbort),
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Timeouts and dropped connections are worth retrying; a caller's own abort is not
+function isRetryableError(error, signal) {
+  if (signal?.aborted) return false;
+  return error?.name === "TimeoutError" || error instanceof TypeError;
+}
+
+export function createRequestScheduler({
+  maxConcurrentPerHost = DEFAULT_MAX_CONCURRENT_PER_HOST,
+  ratePerSecond = DEFAULT_RATE_PER_SECOND,
+  burst = DEFAULT_BURST,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) {
+  const hosts = new Map();
+  let retries = 0;
+
+  function getHost(url) {
+    const host = new URL(url).host;
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, waiters: [], tokens: burst, refilledAt: Date.now() });
+    }
+    return hosts.get(host);
+  }
+
+  function reserveSlot(state) {
+    if (state.active < maxConcurrentPerHost) {
+      state.active++;
+      return Promise.resolve();
+    }
+    // The finishing request hands its slot straight to the next waiter
+    return new Promise((resolve) => state.waiters.push(resolve));
+  }
+
+  function releaseSlot(state) {
+    const next = state.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  }
+
+  async function takeToken(state) {
+    for (;;) {
+      const now = Date.now();
+      state.tokens = Math.min(burst, state.tokens + ((now - state.refilledAt) / 1000) * ratePerSecond);
+      state.refilledAt = now;
+      if (state.tokens >= 1) {
+        state.tokens -= 1;
+        return;
+      }
+      await sleep(((1 - state.tokens) / ratePerSecond) * 1000);
+    }
+  }
+
+  // Full jitter: a random delay up to the exponential cap
+  function backoffDelay(attempt) {
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * cap);
+  }
+
+  async function attemptFetch(url, options, state) {
+    await reserveSlot(state);
+    try {
+      await takeToken(state);
+      const { timeoutMs: requestTimeoutMs, ...fetchOptions } = options;
+      const { signal, release } = withTimeoutSignal(options.signal, requestTimeoutMs ?? timeoutMs);
+      try {
+        return await fetch(url, { ...fetchOptions, signal });
+      } finally {
+        release();
+      }
+    } finally {
+      releaseSlot(state);
+    }
+  }
+
+  // Resolves with the final response (ok or not); rejects only when the last
+  // attempt failed without a response
+  async function schedule(url, options = {}) {
+    const state = getHost(url);
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await attemptFetch(url, options, state);
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableError(error, options.signal)) throw error;
+        retries++;
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+
+      if (!RETRYABLE_STATUSES.has(response.status) || attempt >= maxRetries) {
+        return response;
+      }
+      const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+      // Waiting longer than we'd ever back off is worse than reporting the limit
+      if (retryAfter !== null && retryAfter > maxDelayMs) {
+        return response;
+      }
+      await response.body?.cancel().catch(() => {});
+      retries++;
+      await sleep(retryAfter ?? backoffDelay(attempt));
+    }
+  }
+
+  function stats() {
+    return {
+      hosts: Object.fromEntries([...hosts].map(([host, state]) => [host, {
+        active: state.active,
+        queued: state.waiters.length,
+        tokens: Math.floor(state.tokens),
+      }])),
+      retries,
+    };
+  }
+
+  return { fetch: schedule, stats };
+}
+
+let sharedScheduler = null;
+
+// Process-wide scheduler, so limits hold across sessions; the options of the first caller win
+export function getRequestScheduler(options) {
+  if (!sharedScheduler) {
+    sharedScheduler = createRequestScheduler(options);
+  }
+  return sharedScheduler;
+}
+
+// Counters of the process-wide scheduler, or null if nothing has been fetched yet
+export function getRequestSchedulerStats() {
+  return sharedScheduler?.stats() ?? null;
+}
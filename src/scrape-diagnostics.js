@@ -0,0 +1,111 @@
+// Diagnostics for scraped pages, so selector drift shows up as a low confidence
+// score instead of quietly empty fields. Extractors report, per field, the value
+// they found and which selector candidate found it; the score weighs how much of
+// the page was found and how (first choice, a later candidate, or a fallback).
+
+// Below this, a page probably changed layout under us
+export const DRIFT_CONFIDENCE_THRESHOLD = 0.7;
+
+// Credit for a filled field, by how it was found
+const PRIMARY_CREDIT = 1;
+const ALTERNATE_CREDIT = 0.8;
+const FALLBACK_CREDIT = 0.4;
+
+// Debug DOM snapshots are cut off here
+const MAX_DEBUG_DOM_CHARS = 50000;
+
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === "string") return value.trim() === "";
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "number") return !Number.isFinite(value);
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+function fieldCredit({ value, candidates, matched }) {
+  if (isEmpty(value)) return 0;
+  // Not found by a selector (e.g. the page title or an API response)
+  if (!candidates) return PRIMARY_CREDIT;
+  if (matched === candidates[0]) return PRIMARY_CREDIT;
+  return candidates.includes(matched) ? ALTERNATE_CREDIT : FALLBACK_CREDIT;
+}
+
+// `fields` maps field names to { value, candidates, matched, weight }:
+// `candidates` are the selectors tried in order and `matched` the one that found
+// the value (anything else, like "body", counts as a fallback). Fields without
+// candidates, like ones read from an API, only report `matched` as their source.
+export function diagnose(pageType, fields) {
+  const strategies = {};
+  const emptyFields = [];
+  let earned = 0;
+  let possible = 0;
+  for (const [name, field] of Object.entries(fields)) {
+    const weight = field.weight ?? 1;
+    if (field.candidates || field.matched !== undefined) strategies[name] = field.matched ?? null;
+    if (isEmpty(field.value)) emptyFields.push(name);
+    earned += weight * fieldCredit(field);
+    possible += weight;
+  }
+  return {
+    page_type: pageType,
+    strategies,
+    empty_fields: emptyFields,
+    confidence: possible > 0 ? Math.round((earned / possible) * 100) / 100 : 0,
+  };
+}
+
+// One report for a tool that scraped several pages of the same type: strategies
+// that differed between pages are listed, and the weakest page sets the score
+export function combineDiagnostics(reports) {
+  if (reports.length === 1) return reports[0];
+  const strategies = {};
+  for (const report of reports) {
+    for (const [name, matched] of Object.entries(report.strategies)) {
+      (strategies[name] ??= new Set()).add(matched);
+    }
+  }
+  return {
+    page_type: [...new Set(reports.map((report) => report.page_type))].join(", "),
+    pages: reports.length,
+    strategies: Object.fromEntries(
+      Object.entries(strategies).map(([name, matched]) => [name, matched.size === 1 ? [...matched][0] : [...matched]])
+    ),
+    empty_fields: [...new Set(reports.flatMap((report) => report.empty_fields))],
+    confidence: Math.min(...reports.map((report) => report.confidence)),
+  };
+}
+
+export function isDrifted(report) {
+  return report.confidence < DRIFT_CONFIDENCE_THRESHOLD;
+}
+
+// The DOM without scripts, styles, SVG and inline styling: what an extractor sees
+function trimDom(maxChars) {
+  const root = document.documentElement.cloneNode(true);
+  root.querySelectorAll("script, style, noscript, svg, link, meta, iframe, template").forEach((el) => el.remove());
+  root.querySelectorAll("*").forEach((el) => {
+    for (const { name } of [...el.attributes]) {
+      if (name === "style" || name.startsWith("on") || (name.startsWith("data-") && name !== "data-testid")) {
+        el.removeAttribute(name);
+      }
+    }
+  });
+  const html = root.outerHTML.replace(/>\s+</g, "><");
+  return { html: html.slice(0, maxChars), truncated: html.length > maxChars };
+}
+
+// For `debug: true`: a screenshot of the viewport and the trimmed DOM
+export async function snapshotPage(page) {
+  const [screenshot, dom] = await Promise.all([
+    page.screenshot({ type: "png", encoding: "base64" }),
+    page.evaluate(trimDom, MAX_DEBUG_DOM_CHARS),
+  ]);
+  return {
+    url: page.url(),
+    title: await page.title(),
+    screenshot: { mime_type: "image/png", data: screenshot },
+    dom: dom.html,
+    dom_truncated: dom.truncated,
+  };
+}
@@ -0,0 +1,267 @@
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Declarative extraction rules for scraped pages. src/scrape-rules.json has, per
+// page type, what "ready" looks like, elements to remove before extracting and the
+// fields to extract. A field is read from the first of its `selectors` that matches:
+//
+//   selectors   candidates in order of preference; ":scope" is the element itself
+//   read        text (whitespace collapsed, the default), raw_text, inner_text,
+//               html, count, exists, attribute:<name>, property:<name>, style:<name>
+//   fallback    selector used when no candidate matches (reported as a fallback)
+//   min_length  skip candidates with less text than this
+//   all         every element any candidate matches, as a list
+//   outermost   with `all`, drop elements nested in another match
+//   fields      read these fields from the matched element(s) instead of `read`
+//
+// COURSERA_SCRAPE_RULES points at a file with the same layout that is merged over
+// the defaults: page types and fields by name, everything else replaced, and a null
+// value removes a setting.
+
+const DEFAULT_RULES_FILE = resolve(dirname(fileURLToPath(import.meta.url)), "scrape-rules.json");
+
+const PAGE_KEYS = new Set(["ready", "remove", "fields"]);
+const FIELD_KEYS = new Set(["selectors", "read", "fallback", "min_length", "all", "outermost", "fields", "column"]);
+const READS = new Set(["text", "raw_text", "inner_text", "html", "count", "exists"]);
+const READ_PATTERN = /^(attribute|property|style):[\w-]+$/;
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isSelectorList(value) {
+  return Array.isArray(value) && value.every((selector) => typeof selector === "string" && selector.trim() !== "");
+}
+
+function readRulesFile(file) {
+  let text;
+  try {
+    text = readFileSync(file, "utf-8");
+  } catch (error) {
+    throw new Error(`Can't read scrape rules from ${file}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in scrape rules ${file}: ${error.message}`);
+  }
+}
+
+function withoutNulls(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+}
+
+function mergeFields(base, override, path, fail) {
+  if (!isObject(override)) fail(`${path} must be an object`);
+  const merged = { ...base };
+  for (const [name, field] of Object.entries(override)) {
+    if (!base[name]) {
+      fail(`${path}.${name} isn't a known field (expected one of: ${Object.keys(base).join(", ")})`);
+    }
+    if (!isObject(field)) fail(`${path}.${name} must be an object`);
+    const { fields, ...settings } = field;
+    merged[name] = withoutNulls({ ...base[name], ...settings });
+    if (fields !== undefined && fields !== null) {
+      if (!base[name].fields) fail(`${path}.${name} has no nested fields`);
+      merged[name].fields = mergeFields(base[name].fields, fields, `${path}.${name}.fields`, fail);
+    }
+  }
+  return merged;
+}
+
+// Overrides can only change page types and fields the server knows how to use,
+// so a typo fails loudly instead of being ignored
+export function mergeScrapeRules(base, override, source = "override") {
+  const fail = (message) => {
+    throw new Error(`Invalid scrape rules in ${source}: ${message}`);
+  };
+  if (!isObject(override)) fail("expected an object of page types");
+  const merged = { ...base };
+  for (const [pageType, rule] of Object.entries(override)) {
+    if (!base[pageType]) {
+      fail(`"${pageType}" isn't a known page type (expected one of: ${Object.keys(base).join(", ")})`);
+    }
+    if (!isObject(rule)) fail(`${pageType} must be an object`);
+    const next = { ...base[pageType] };
+    for (const [key, value] of Object.entries(rule)) {
+      if (!PAGE_KEYS.has(key)) fail(`${pageType}.${key} isn't a page setting (expected ready, remove or fields)`);
+      if (key === "fields") next.fields = mergeFields(base[pageType].fields, value, `${pageType}.fields`, fail);
+      else if (key === "ready") next.ready = { ...base[pageType].ready, ...value };
+      else next.remove = value ?? [];
+    }
+    merged[pageType] = next;
+  }
+  validateScrapeRules(merged, source);
+  return merged;
+}
+
+function validateField(field, path, fail) {
+  for (const key of Object.keys(field)) {
+    if (!FIELD_KEYS.has(key)) fail(`${path}.${key} isn't a field setting`);
+  }
+  if (!isSelectorList(field.selectors) || field.selectors.length === 0) {
+    fail(`${path}.selectors must be a non-empty list of selectors`);
+  }
+  if (field.read !== undefined && !READS.has(field.read) && !READ_PATTERN.test(field.read)) {
+    fail(`${path}.read must be one of ${[...READS].join(", ")} or attribute:/property:/style:<name>, got "${field.read}"`);
+  }
+  if (field.read !== undefined && field.fields !== undefined) fail(`${path} can't have both read and fields`);
+  if (field.fallback !== undefined && !isSelectorList([field.fallback])) fail(`${path}.fallback must be a selector`);
+  if (field.min_length !== undefined && !(Number.isInteger(field.min_length) && field.min_length >= 0)) {
+    fail(`${path}.min_length must be a whole number`);
+  }
+  if (field.column !== undefined && !(Number.isInteger(field.column) && field.column >= 0)) {
+    fail(`${path}.column must be a whole number`);
+  }
+  for (const key of ["all", "outermost"]) {
+    if (field[key] !== undefined && typeof field[key] !== "boolean") fail(`${path}.${key} must be true or false`);
+  }
+  if (field.fields !== undefined) {
+    if (!isObject(field.fields)) fail(`${path}.fields must be an object`);
+    for (const [name, nested] of Object.entries(field.fields)) {
+      if (!isObject(nested)) fail(`${path}.fields.${name} must be an object`);
+      validateField(nested, `${path}.fields.${name}`, fail);
+    }
+  }
+}
+
+export function validateScrapeRules(rules, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid scrape rules in ${source}: ${message}`);
+  };
+  for (const [pageType, rule] of Object.entries(rules)) {
+    if (!isSelectorList(rule.ready?.selectors) || rule.ready.selectors.length === 0) {
+      fail(`${pageType}.ready.selectors must be a non-empty list of selectors`);
+    }
+    const responses = rule.ready.responses ?? [];
+    if (!Array.isArray(responses) || !responses.every((pattern) => typeof pattern === "string")) {
+      fail(`${pageType}.ready.responses must be a list of URL patterns`);
+    }
+    for (const pattern of responses) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        fail(`${pageType}.ready.responses has an invalid pattern: ${error.message}`);
+      }
+    }
+    if (!isSelectorList(rule.remove)) fail(`${pageType}.remove must be a list of selectors`);
+    if (!isObject(rule.fields)) fail(`${pageType}.fields must be an object`);
+    for (const [name, field] of Object.entries(rule.fields)) {
+      if (!isObject(field)) fail(`${pageType}.fields.${name} must be an object`);
+      validateField(field, `${pageType}.fields.${name}`, fail);
+    }
+  }
+}
+
+// The built-in rules, with COURSERA_SCRAPE_RULES merged over them
+export function loadScrapeRules(overrideFile = process.env.COURSERA_SCRAPE_RULES?.trim()) {
+  const rules = readRulesFile(DEFAULT_RULES_FILE);
+  if (!overrideFile) return rules;
+  const file = resolve(overrideFile);
+  return mergeScrapeRules(rules, readRulesFile(file), file);
+}
+
+// Options for gotoWhenReady
+export function pageReadiness(rule) {
+  return {
+    selector: rule.ready.selectors.join(", "),
+    responses: (rule.ready.responses ?? []).map((pattern) => new RegExp(pattern)),
+  };
+}
+
+// Runs in the page. Returns the field values and, per field path ("lessons.name"),
+// the first selector that matched anywhere.
+function extractInPage({ remove, fields }) {
+  const matched = {};
+  const query = (root, selector, all) => {
+    if (selector === ':scope') return all ? [root] : root;
+    try {
+      return all ? [...root.querySelectorAll(selector)] : root.querySelector(selector);
+    } catch (error) {
+      throw new Error(`Invalid selector in scrape rules: ${selector}`);
+    }
+  };
+  const record = (path, selector) => {
+    if (matched[path] === null && selector) matched[path] = selector;
+  };
+  const findAll = (root, selectors) => {
+    const found = new Set(selectors.flatMap(selector => query(root, selector, true)));
+    return [...found].sort((a, b) =>
+      a === b ? 0 : a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+  };
+  const firstPresent = (root, selectors) => selectors.find(selector => query(root, selector, true).length > 0) ?? null;
+
+  const read = (el, how = 'text') => {
+    if (how === 'text') return el.textContent?.replace(/\s+/g, ' ').trim() || null;
+    if (how === 'raw_text') return el.textContent?.trim() || null;
+    if (how === 'inner_text') return el.innerText ?? null;
+    if (how === 'html') return el.innerHTML;
+    const [kind, name] = how.split(':');
+    if (kind === 'attribute') return el.getAttribute(name);
+    if (kind === 'property') return el[name] ?? null;
+    return el.style?.[name] || null;
+  };
+
+  const extractField = (root, field, path) => {
+    matched[path] ??= null;
+    const value = (el) => field.fields ? extractAll(el, field.fields, path) : read(el, field.read);
+
+    if (field.read === 'count' || field.read === 'exists') {
+      const count = findAll(root, field.selectors).length;
+      record(path, firstPresent(root, field.selectors));
+      return field.read === 'count' ? count : count > 0;
+    }
+
+    if (field.all) {
+      let els = findAll(root, field.selectors);
+      let selector = firstPresent(root, field.selectors);
+      if (els.length === 0 && field.fallback) {
+        els = query(root, field.fallback, true);
+        selector = els.length > 0 ? field.fallback : null;
+      }
+      if (field.outermost) els = els.filter(el => !els.some(other => other !== el && other.contains(el)));
+      record(path, selector);
+      return els.map(value);
+    }
+
+    for (const selector of field.selectors) {
+      const el = query(root, selector, false);
+      if (!el) continue;
+      if (field.min_length && el.textContent.trim().length < field.min_length) continue;
+      record(path, selector);
+      return value(el);
+    }
+    const fallback = field.fallback ? query(root, field.fallback, false) : null;
+    if (fallback) record(path, field.fallback);
+    return fallback ? value(fallback) : null;
+  };
+
+  const extractAll = (root, specs, prefix) => Object.fromEntries(
+    Object.entries(specs).map(([name, field]) => [name, extractField(root, field, prefix ? `${prefix}.${name}` : name)])
+  );
+
+  remove.forEach(selector => query(document, selector, true).forEach(el => el.remove()));
+  return { values: extractAll(document, fields, ''), matched };
+}
+
+// Extract a page type's fields from a loaded page. Resolves to { values, matched }.
+export function extractFields(page, rule) {
+  return page.evaluate(extractInPage, { remove: rule.remove, fields: rule.fields });
+}
+
+// The rule for a field path like "questions.prompt"
+export function fieldRule(rule, path) {
+  return path.split(".").reduce((field, name) => field?.fields?.[name], rule);
+}
+
+// A field for diagnose(): the value, the candidates its rule tried and which matched
+export function ruleField(rule, matched, path, value, weight) {
+  return {
+    value,
+    candidates: fieldRule(rule, path).selectors,
+    matched: matched[path] ?? null,
+    ...(weight !== undefined && { weight }),
+  };
+}
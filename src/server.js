@@ -1,8 +1,16 @@
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { closeBrowserPool } from "./browser-pool.js";
 import { createCourseraServer } from "./coursera-server.js";
+import { watchCredentials } from "./credentials.js";
 
 async function main() {
   const server = createCourseraServer();
+  // A stdio server has a single session; its browser goes with it
+  server.onclose = () => {
+    closeBrowserPool().catch(() => {});
+  };
+  // Pick up rotated cookies from the env files without restarting the client
+  watchCredentials();
   await server.connect(new StdioServerTransport());
 }
 
@@ -0,0 +1,48 @@
+// Health of each Coursera session, keyed by a hash of its cookies: the result of
+// the last check against Coursera, and whether scraped pages have been landing on
+// the login page. Process-wide, so every MCP session and /health see the same state.
+
+const statuses = new Map();
+
+function getOrCreate(key) {
+  if (!statuses.has(key)) {
+    statuses.set(key, {
+      valid: null,
+      user_id: null,
+      name: null,
+      checked_at: null,
+      error: null,
+      login_redirect: {
+        redirecting: false,
+        last_url: null,
+        last_seen_at: null,
+      },
+    });
+  }
+  return statuses.get(key);
+}
+
+export function getSessionStatus(key) {
+  return structuredClone(getOrCreate(key));
+}
+
+// `valid` is true/false when Coursera answered, null when it couldn't be reached
+export function recordSessionCheck(key, { valid, user_id = null, name = null, error = null }) {
+  const status = getOrCreate(key);
+  Object.assign(status, { valid, user_id, name, error, checked_at: new Date().toISOString() });
+}
+
+// Called after every scraped page load, so `redirecting` reflects the latest page
+export function recordPageLoad(key, { url, loginRedirect }) {
+  const { login_redirect: redirect } = getOrCreate(key);
+  redirect.redirecting = loginRedirect;
+  if (loginRedirect) {
+    redirect.last_url = url;
+    redirect.last_seen_at = new Date().toISOString();
+  }
+}
+
+export function isSessionCheckStale(key, maxAgeMs) {
+  const checkedAt = getOrCreate(key).checked_at;
+  return !checkedAt || Date.now() - Date.parse(checkedAt) > maxAgeMs;
+}
@@ -0,0 +1,154 @@
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { createCredentialStore, readCredentials } from "./credentials.js";
+import { watchFiles } from "./env.js";
+
+// Multi-tenant mode: a JSON file (MCP_TENANTS_FILE) maps API keys to Coursera
+// cookie sets, so one deployment can serve several people.
+//
+// {
+//   "tenants": [
+//     { "id": "alice", "api_keys": ["alice-key"], "cauth": "..." },
+//     { "id": "bob", "api_key": "bob-key", "cookie_file": "./bob-cookies.txt" }
+//   ]
+// }
+//
+// Each tenant takes `cookies`, `cauth` or `cookie_file` (relative to the tenants
+// file). Ids name cache directories, so they are limited to letters, digits, - and _.
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function parseTenantsFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`Cannot read tenants file ${file}: ${error.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.tenants;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Tenants file ${file} must list at least one tenant under "tenants"`);
+  }
+
+  const baseDir = dirname(file);
+  const seenKeys = new Set();
+  return entries.map((entry, idx) => {
+    const id = entry?.id;
+    if (typeof id !== "string" || !TENANT_ID_PATTERN.test(id)) {
+      throw new Error(`Tenant #${idx + 1} needs an "id" of letters, digits, - or _`);
+    }
+    const apiKeys = [entry.api_key, ...(entry.api_keys || [])].filter(Boolean);
+    if (apiKeys.length === 0) {
+      throw new Error(`Tenant "${id}" has no "api_key" or "api_keys"`);
+    }
+    for (const key of apiKeys) {
+      if (seenKeys.has(key)) {
+        throw new Error(`API key of tenant "${id}" is already used by another tenant`);
+      }
+      seenKeys.add(key);
+    }
+    const source = {
+      cookieFile: entry.cookie_file ? resolve(baseDir, entry.cookie_file) : undefined,
+      cookies: entry.cookies,
+      cauth: entry.cauth,
+    };
+    if (!readCredentials(source)) {
+      throw new Error(`Tenant "${id}" needs "cookies", "cauth" or "cookie_file"`);
+    }
+    return { id, apiKeys, source };
+  });
+}
+
+export function createTenantRegistry(file) {
+  const path = resolve(file);
+  // id -> { id, credentials, source }
+  const tenants = new Map();
+  let byApiKey = new Map();
+  const removeListeners = new Set();
+
+  function apply(entries) {
+    const keys = new Map();
+    for (const { id, apiKeys, source } of entries) {
+      let tenant = tenants.get(id);
+      if (tenant) {
+        tenant.source = source;
+        tenant.credentials.reload("tenants file");
+      } else {
+        tenant = { id, source, credentials: null };
+        // The store re-reads the tenant's current source on reload
+        tenant.credentials = createCredentialStore({
+          name: `tenant ${id}`,
+          load: () => readCredentials(tenant.source),
+        });
+        tenants.set(id, tenant);
+      }
+      for (const key of apiKeys) keys.set(key, tenant);
+    }
+    // Removed tenants keep their object (open servers hold it) but lose their keys
+    const ids = new Set(entries.map((entry) => entry.id));
+    const removed = [...tenants.values()].filter((tenant) => !ids.has(tenant.id));
+    for (const tenant of removed) tenants.delete(tenant.id);
+    byApiKey = keys;
+    for (const tenant of removed) {
+      for (const listener of removeListeners) {
+        try {
+          listener(tenant);
+        } catch (error) {
+          console.error(`Tenant removal listener failed: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  apply(parseTenantsFile(path));
+
+  function reload() {
+    try {
+      apply(parseTenantsFile(path));
+      console.error(`Reloaded tenants from ${path}`);
+    } catch (error) {
+      console.error(`Ignoring tenants file change: ${error.message}`);
+    }
+  }
+
+  function watchedFiles() {
+    const cookieFiles = [...tenants.values()]
+      .map((tenant) => tenant.source.cookieFile)
+      .filter(Boolean);
+    return [...new Set([path, ...cookieFiles])];
+  }
+
+  // Reload when the tenants file or one of the tenants' cookie files changes. The
+  // cookie files are looked up again after every reload, so tenants added later
+  // are watched too. Returns a function that stops watching.
+  function watch() {
+    let files = [];
+    let stop = () => {};
+    function watchCurrentFiles() {
+      const next = watchedFiles();
+      if (next.join("\n") === files.join("\n")) return;
+      stop();
+      files = next;
+      stop = watchFiles(files, () => {
+        reload();
+        watchCurrentFiles();
+      });
+    }
+    watchCurrentFiles();
+    return () => stop();
+  }
+
+  // Called with each tenant a reload removes. Returns an unsubscribe function.
+  function onRemove(listener) {
+    removeListeners.add(listener);
+    return () => removeListeners.delete(listener);
+  }
+
+  return {
+    findByApiKey: (apiKey) => (apiKey ? byApiKey.get(apiKey) : undefined) ?? null,
+    get: (id) => tenants.get(id) ?? null,
+    list: () => [...tenants.values()],
+    watch,
+    onRemove,
+  };
+}
@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createCache } from "../src/cache.js";
+
+describe("cache", () => {
+  test("keeps at most maxEntries in memory, least recently used out first", async () => {
+    const cache = createCache({ maxEntries: 2 });
+    await cache.set("a", 1, { ttlMs: 60000, tool: "t" });
+    await cache.set("b", 2, { ttlMs: 60000, tool: "t" });
+    assert.equal((await cache.get("a")).value, 1);
+    await cache.set("c", 3, { ttlMs: 60000, tool: "t" });
+    assert.equal(await cache.get("b"), null);
+    assert.equal((await cache.get("a")).value, 1);
+    assert.equal((await cache.get("c")).value, 3);
+  });
+
+  test("expired entries are neither returned nor listed", async () => {
+    const cache = createCache();
+    await cache.set("old", 1, { ttlMs: -1, tool: "t" });
+    await cache.set("new", 2, { ttlMs: 60000, tool: "t" });
+    assert.equal(await cache.get("old"), null);
+    assert.deepEqual((await cache.list()).map((entry) => entry.key), ["new"]);
+  });
+
+  test("lists and clears by key prefix", async () => {
+    const cache = createCache();
+    await cache.set("one:get_course:{}", 1, { ttlMs: 60000, tool: "get_course" });
+    await cache.set("two:get_course:{}", 2, { ttlMs: 60000, tool: "get_course" });
+    assert.deepEqual((await cache.list({ prefix: "one:" })).map((entry) => entry.key), ["one:get_course:{}"]);
+    assert.equal(await cache.clear({ prefix: "two:" }), 1);
+    assert.equal((await cache.get("one:get_course:{}")).value, 1);
+  });
+});
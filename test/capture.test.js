@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { startStubCoursera, STUB_CAUTH } from "./support/stub-coursera.js";
+import {
+  browserUnavailableReason,
+  callTool,
+  callToolError,
+  connectStdio,
+  serverEnv,
+} from "./support/mcp-server.js";
+
+// COURSERA_RECORD against the stub, then COURSERA_REPLAY of the same capture with
+// the stub shut down
+
+const BROWSER_TIMEOUT_MS = 60000;
+const RECORDED_CALLS = [
+  ["auth_status", {}],
+  ["list_enrollments", {}],
+  ["get_course", { course_slug: "machine-learning" }],
+  ["list_course_materials", { course_slug: "machine-learning" }],
+];
+// get_reading answers from the API; debug makes it render the page, so there's
+// a page to record and replay
+const READING_ARGS = { course_slug: "machine-learning", item_id: "rdgSetup", item_name: "setup", debug: true };
+
+const browserSkip = await browserUnavailableReason();
+
+async function readCaptureFiles(dir, kind) {
+  const names = await readdir(join(dir, kind)).catch(() => []);
+  return Promise.all(names.map((name) => readFile(join(dir, kind, name), "utf-8")));
+}
+
+describe("record and replay", () => {
+  let dir;
+  let stubUrl;
+  const recorded = {};
+  let recordedReading = null;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "coursera-capture-"));
+    const stub = await startStubCoursera();
+    stubUrl = stub.url;
+    const client = await connectStdio(serverEnv(stub.url, { COURSERA_RECORD: dir }));
+    try {
+      for (const [name, args] of RECORDED_CALLS) {
+        recorded[name] = await callTool(client, name, args);
+      }
+      if (!browserSkip) {
+        recordedReading = await callTool(client, "get_reading", READING_ARGS);
+      }
+    } finally {
+      await client.close();
+      await stub.close();
+    }
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("saves one file per API response", async () => {
+    const captures = (await readCaptureFiles(dir, "api")).map((text) => JSON.parse(text));
+    const urls = captures.map((capture) => capture.url);
+    assert.ok(urls.some((url) => url.includes("/api/memberships.v1?q=me")));
+    assert.ok(urls.some((url) => url.includes("/api/onDemandCourseMaterials.v2/")));
+    for (const capture of captures) {
+      assert.equal(capture.method, "GET");
+      assert.equal(capture.status, 200);
+    }
+  });
+
+  test("scrubs cookies, the learner's id and name", async () => {
+    const text = (await readCaptureFiles(dir, "api")).join("\n");
+    assert.doesNotMatch(text, new RegExp(STUB_CAUTH));
+    assert.doesNotMatch(text, /4815162/);
+    assert.doesNotMatch(text, /Ada Learner/);
+    assert.match(text, /1000001/);
+    assert.match(text, /Test Learner/);
+    assert.doesNotMatch(text, /ada\.learner@/);
+    assert.match(text, /learner@example\.com/);
+    // Asset names that look like addresses stay as they are
+    assert.match(text, /ada@2x\.png/);
+  });
+
+  describe("replay", () => {
+    let client;
+
+    before(async () => {
+      // The stub is closed, so anything not answered from the capture fails. No
+      // cookies either: replaying shouldn't need a Coursera account.
+      client = await connectStdio(serverEnv(stubUrl, {
+        COURSERA_REPLAY: dir,
+        COURSERA_COOKIE_FILE: "",
+        COURSERA_COOKIES: "",
+        COURSERA_CAUTH: "",
+      }));
+    });
+
+    after(async () => {
+      await client?.close();
+    });
+
+    test("answers recorded requests with the scrubbed responses", async () => {
+      const status = await callTool(client, "auth_status");
+      assert.equal(status.valid, true);
+      assert.equal(status.user_id, 1000001);
+      assert.equal(status.name, "Test Learner");
+
+      const enrollments = await callTool(client, "list_enrollments");
+      assert.equal(enrollments.user_id, 1000001);
+      assert.deepEqual(
+        enrollments.courses.map((course) => course.slug),
+        recorded.list_enrollments.courses.map((course) => course.slug)
+      );
+
+      assert.deepEqual(
+        await callTool(client, "get_course", { course_slug: "machine-learning" }),
+        recorded.get_course
+      );
+      const materials = await callTool(client, "list_course_materials", { course_slug: "machine-learning" });
+      assert.deepEqual(materials.modules, recorded.list_course_materials.modules);
+    });
+
+    test("fails requests the capture doesn't cover", async () => {
+      const error = await callToolError(client, "search_courses", { query: "statistics" });
+      assert.equal(error.code, "upstream_unavailable");
+      assert.equal(error.retryable, false);
+      assert.match(error.message, /No recorded response for GET /);
+    });
+
+    test("serves recorded pages to the browser", { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+      if (browserSkip) {
+        t.skip(browserSkip);
+        return;
+      }
+      const pages = (await readCaptureFiles(dir, "pages")).join("\n");
+      assert.match(pages, /Setting Up Your Environment/);
+      assert.doesNotMatch(pages, new RegExp(STUB_CAUTH));
+
+      const reading = await callTool(client, "get_reading", READING_ARGS);
+      assert.equal(reading.source, "browser");
+      assert.equal(reading.content, recordedReading.content);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { chmod, mkdtemp, readFile, rm, stat, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { after, before, describe, test } from "node:test";
+import { generateTotp } from "../src/login-flow.js";
+import { browserUnavailableReason } from "./support/mcp-server.js";
+import { MOCK_CAUTH, startMockLogin } from "./support/mock-login.js";
+
+// `npm run login` end to end against the mock login page in test/support/mock-login.js
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const LOGIN_TIMEOUT_MS = 60000;
+
+const ACCOUNT = {
+  email: "ada@example.com",
+  password: "correct horse battery staple",
+  // RFC 6238's test secret, "12345678901234567890" in base32
+  totpSecret: "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ",
+};
+
+// Run src/login.js; resolves to { code, stdout, stderr }
+function runLogin(args, env) {
+  return new Promise((resolveRun, reject) => {
+    const child = spawn(process.execPath, [resolve(ROOT_DIR, "src", "login.js"), ...args], {
+      cwd: ROOT_DIR,
+      env: { ...process.env, ...env },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => { stdout += chunk; });
+    child.stderr.on("data", (chunk) => { stderr += chunk; });
+    const timer = setTimeout(() => child.kill(), LOGIN_TIMEOUT_MS);
+    child.once("error", reject);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      resolveRun({ code, stdout, stderr });
+    });
+  });
+}
+
+describe("generateTotp", () => {
+  test("matches the RFC 6238 SHA-1 test vectors", () => {
+    assert.equal(generateTotp(ACCOUNT.totpSecret, 59 * 1000), "287082");
+    assert.equal(generateTotp(ACCOUNT.totpSecret, 1111111109 * 1000), "081804");
+    assert.equal(generateTotp(ACCOUNT.totpSecret, 2000000000 * 1000), "279037");
+  });
+});
+
+const browserSkip = await browserUnavailableReason();
+
+describe("npm run login", { skip: browserSkip ?? false }, () => {
+  let mock;
+  let dir;
+
+  before(async () => {
+    mock = await startMockLogin(ACCOUNT);
+    dir = await mkdtemp(join(tmpdir(), "coursera-mcp-login-"));
+  });
+
+  after(async () => {
+    await mock?.close();
+    if (dir) await rm(dir, { recursive: true, force: true });
+  });
+
+  function login(envFile, { password = ACCOUNT.password } = {}) {
+    return runLogin(
+      ["--login-url", mock.url, "--env-file", envFile, "--totp-secret", ACCOUNT.totpSecret, "--timeout-ms", "15000"],
+      { COURSERA_EMAIL: ACCOUNT.email, COURSERA_PASSWORD: password }
+    );
+  }
+
+  test("logs in with a two-factor code and saves the cookies to the env file", { timeout: LOGIN_TIMEOUT_MS }, async () => {
+    const envFile = join(dir, ".env.local");
+    await writeFile(envFile, "# Coursera MCP\nMCP_API_KEY=keep-me\nCOURSERA_CAUTH=stale\n");
+    await chmod(envFile, 0o644);
+
+    const result = await login(envFile);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Saved Coursera session cookies/);
+    assert.deepEqual(mock.submissions.map((submission) => submission.path), ["/login", "/login/totp"]);
+    assert.equal(mock.submissions[0].fields.email, ACCOUNT.email);
+
+    const lines = (await readFile(envFile, "utf-8")).trim().split("\n");
+    assert.equal(lines[0], "# Coursera MCP");
+    assert.ok(lines.includes("MCP_API_KEY=keep-me"));
+    assert.ok(lines.includes(`COURSERA_CAUTH=${MOCK_CAUTH}`));
+    const cookies = lines.find((line) => line.startsWith("COURSERA_COOKIES=")).slice("COURSERA_COOKIES=".length);
+    assert.deepEqual(
+      cookies.replace(/^"|"$/g, "").split("; ").sort(),
+      [`CAUTH=${MOCK_CAUTH}`, "CSRF3-Token=mock-csrf", "mock_pending=1"]
+    );
+    assert.equal((await stat(envFile)).mode & 0o777, 0o600);
+  });
+
+  test("reports a wrong password and leaves the env file alone", { timeout: LOGIN_TIMEOUT_MS }, async () => {
+    const envFile = join(dir, "wrong-password.env");
+    const result = await login(envFile, { password: "wrong" });
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Login failed: Incorrect email or password/);
+    await assert.rejects(stat(envFile), { code: "ENOENT" });
+  });
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { htmlToMarkdown } from "../src/markdown.js";
+
+const BASE_URL = "https://www.coursera.org/learn/machine-learning/supplement/rdgSetup/setup";
+
+function markdown(html) {
+  return htmlToMarkdown(html, BASE_URL).markdown;
+}
+
+describe("htmlToMarkdown", () => {
+  test("keeps headings, paragraphs and emphasis", () => {
+    assert.equal(
+      markdown("<h2>Install  Python</h2><p>Use <strong>3.11</strong> or <em>newer</em>.</p>"),
+      "## Install Python\n\nUse **3.11** or _newer_."
+    );
+  });
+
+  test("turns tables into pipe tables, escaping pipes in cells", () => {
+    const html = "<table><thead><tr><th>Package</th><th>Version</th></tr></thead>" +
+      "<tbody><tr><td>numpy</td><td>1.26</td></tr><tr><td>a|b</td></tr></tbody></table>";
+    assert.equal(markdown(html), [
+      "| Package | Version |",
+      "| --- | --- |",
+      "| numpy | 1.26 |",
+      "| a\\|b |  |",
+    ].join("\n"));
+  });
+
+  test("keeps code blocks verbatim with their language, and inline code", () => {
+    const html = '<p>Run <code>python3 --version</code>:</p>' +
+      '<pre><code class="language-python">def f(x):\n    return x * 2\n</code></pre>';
+    assert.equal(
+      markdown(html),
+      "Run `python3 --version`:\n\n```python\ndef f(x):\n    return x * 2\n```"
+    );
+  });
+
+  test("resolves relative links and lists attachments separately", () => {
+    const result = htmlToMarkdown(
+      '<p>See <a href="/learn/machine-learning/home/week/1">week 1</a> and ' +
+      '<a href="notes/slides.pdf">the slides</a>.</p>',
+      BASE_URL
+    );
+    assert.equal(
+      result.markdown,
+      "See [week 1](https://www.coursera.org/learn/machine-learning/home/week/1) and " +
+      "[the slides](https://www.coursera.org/learn/machine-learning/supplement/rdgSetup/notes/slides.pdf)."
+    );
+    assert.deepEqual(result.attachments, [
+      { name: "the slides", url: "https://www.coursera.org/learn/machine-learning/supplement/rdgSetup/notes/slides.pdf" },
+    ]);
+  });
+
+  test("lists images separately", () => {
+    const result = htmlToMarkdown('<p><img src="/images/cost.png" alt="Cost curve"></p>', BASE_URL);
+    assert.equal(result.markdown, "![Cost curve](https://www.coursera.org/images/cost.png)");
+    assert.deepEqual(result.images, [{ alt: "Cost curve", url: "https://www.coursera.org/images/cost.png" }]);
+  });
+
+  test("keeps math as $...$ from delimiters, MathJax scripts and MathML", () => {
+    assert.equal(markdown("<p>Minimize \\(J(\\theta)\\).</p>"), "Minimize $J(\\theta)$.");
+    assert.equal(markdown("<p>\\[ x^2 \\]</p>"), "$$x^2$$");
+    assert.equal(
+      markdown('<p>Rate <span class="MathJax_Preview">α</span><script type="math/tex">\\alpha</script> here</p>'),
+      "Rate $\\alpha$ here"
+    );
+    assert.equal(
+      markdown('<div><math display="block"><semantics><mi>y</mi>' +
+        '<annotation encoding="application/x-tex">y = mx + b</annotation></semantics></math></div>'),
+      "$$y = mx + b$$"
+    );
+  });
+
+  test("nests lists and drops scripts and buttons", () => {
+    const html = "<ol><li>Install<ul><li>Python</li><li>pip</li></ul></li><li>Run</li></ol>" +
+      "<script>track()</script><button>Mark as completed</button>";
+    assert.equal(markdown(html), "1. Install\n  - Python\n  - pip\n2. Run");
+  });
+});
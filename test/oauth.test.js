@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { exportSPKI, generateKeyPair, SignJWT } from "jose";
+import { startStubCoursera } from "./support/stub-coursera.js";
+import { callTool, connectHttp, serverEnv, startHttpServer } from "./support/mcp-server.js";
+
+// The HTTP server as an OAuth resource server, with tokens signed by a local key
+// pair whose public half is handed over in MCP_OAUTH_PUBLIC_KEY_FILE
+
+const ISSUER = "https://issuer.test";
+const AUDIENCE = "coursera-mcp-test";
+
+const INITIALIZE_REQUEST = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: {
+    protocolVersion: "2025-06-18",
+    capabilities: {},
+    clientInfo: { name: "coursera-mcp-tests", version: "0.0.0" },
+  },
+};
+
+describe("OAuth", () => {
+  let stub;
+  let httpServer;
+  let keyDir;
+  let privateKey;
+
+  // A token for `claims`, valid for five minutes unless `expiresAt` says otherwise
+  function signToken({ scope = "coursera:read", sub = "ada", audience = AUDIENCE, expiresAt = "5m", ...claims } = {}) {
+    return new SignJWT({ scope, ...claims })
+      .setProtectedHeader({ alg: "RS256" })
+      .setIssuer(ISSUER)
+      .setAudience(audience)
+      .setSubject(sub)
+      .setIssuedAt()
+      .setExpirationTime(expiresAt)
+      .sign(privateKey);
+  }
+
+  function postMcp(token, body, headers = {}) {
+    return fetch(new URL("/mcp", httpServer.url), {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  before(async () => {
+    const keys = await generateKeyPair("RS256");
+    privateKey = keys.privateKey;
+    keyDir = await mkdtemp(join(tmpdir(), "coursera-mcp-oauth-"));
+    const keyFile = join(keyDir, "issuer-key.pem");
+    await writeFile(keyFile, await exportSPKI(keys.publicKey));
+
+    stub = await startStubCoursera();
+    httpServer = await startHttpServer(serverEnv(stub.url, {
+      MCP_OAUTH_ISSUER: ISSUER,
+      MCP_OAUTH_AUDIENCE: AUDIENCE,
+      MCP_OAUTH_PUBLIC_KEY_FILE: keyFile,
+    }), { apiKey: null });
+  });
+
+  after(async () => {
+    await httpServer?.close();
+    await stub?.close();
+    if (keyDir) await rm(keyDir, { recursive: true, force: true });
+  });
+
+  test("accepts a valid token", async () => {
+    const client = await connectHttp(httpServer.url, await signToken());
+    try {
+      const result = await callTool(client, "auth_status");
+      assert.equal(result.valid, true);
+    } finally {
+      await client.close();
+    }
+  });
+
+  test("rejects an expired token with 401", async () => {
+    const token = await signToken({ expiresAt: Math.floor(Date.now() / 1000) - 60 });
+    const response = await postMcp(token, INITIALIZE_REQUEST);
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get("www-authenticate"), /error="invalid_token"/);
+    assert.match(response.headers.get("www-authenticate"), /resource_metadata="[^"]+oauth-protected-resource\/mcp"/);
+  });
+
+  test("rejects a token for another audience with 401", async () => {
+    const response = await postMcp(await signToken({ audience: "some-other-api" }), INITIALIZE_REQUEST);
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get("www-authenticate"), /error="invalid_token"/);
+  });
+
+  test("rejects a call missing its scope with 403 and insufficient_scope", async () => {
+    const response = await postMcp(await signToken({ scope: "coursera:read" }), {
+      jsonrpc: "2.0",
+      id: 2,
+      method: "tools/call",
+      params: { name: "manage_cache", arguments: { action: "list" } },
+    });
+    assert.equal(response.status, 403);
+    const challenge = response.headers.get("www-authenticate");
+    assert.match(challenge, /^Bearer error="insufficient_scope"/);
+    assert.match(challenge, /scope="coursera:admin"/);
+    assert.equal((await response.json()).error, "insufficient_scope");
+  });
+
+  test("a session only accepts tokens for the client and subject that opened it", async () => {
+    const client = await connectHttp(httpServer.url, await signToken({ sub: "ada", client_id: "study-app" }));
+    try {
+      const sessionId = client.transport.sessionId;
+      assert.ok(sessionId);
+      const ping = { jsonrpc: "2.0", id: 3, method: "ping" };
+
+      const otherUser = await postMcp(await signToken({ sub: "grace", client_id: "study-app" }), ping, { "Mcp-Session-Id": sessionId });
+      assert.equal(otherUser.status, 403);
+      const otherClient = await postMcp(await signToken({ sub: "ada", client_id: "other-app" }), ping, { "Mcp-Session-Id": sessionId });
+      assert.equal(otherClient.status, 403);
+
+      const sameOwner = await postMcp(await signToken({ sub: "ada", client_id: "study-app" }), ping, { "Mcp-Session-Id": sessionId });
+      assert.equal(sameOwner.status, 200);
+    } finally {
+      await client.close();
+    }
+  });
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { combineDiagnostics, diagnose, isDrifted } from "../src/scrape-diagnostics.js";
+
+describe("scrape diagnostics", () => {
+  const CANDIDATES = [".rc-Title", "h1", "h2"];
+
+  test("full confidence when every field is found by its first candidate", () => {
+    const report = diagnose("reading", {
+      title: { value: "Welcome", candidates: CANDIDATES, matched: ".rc-Title" },
+      content: { value: "Some text", matched: "api" },
+    });
+    assert.deepEqual(report, {
+      page_type: "reading",
+      strategies: { title: ".rc-Title", content: "api" },
+      empty_fields: [],
+      confidence: 1,
+    });
+    assert.equal(isDrifted(report), false);
+  });
+
+  test("later candidates and fallbacks lower the score", () => {
+    const alternate = diagnose("week", { title: { value: "Week 1", candidates: CANDIDATES, matched: "h2" } });
+    const fallback = diagnose("week", { title: { value: "Week 1", candidates: CANDIDATES, matched: "body" } });
+    assert.equal(alternate.confidence, 0.8);
+    assert.equal(fallback.confidence, 0.4);
+    assert.equal(isDrifted(fallback), true);
+  });
+
+  test("empty fields are listed and weighted", () => {
+    const report = diagnose("progress", {
+      percentage: { value: undefined, candidates: CANDIDATES, matched: null, weight: 3 },
+      items: { value: [], candidates: CANDIDATES, matched: null },
+      completed: { value: 0, matched: null },
+    });
+    assert.deepEqual(report.empty_fields, ["percentage", "items"]);
+    assert.deepEqual(report.strategies, { percentage: null, items: null, completed: null });
+    assert.equal(report.confidence, 0.2);
+  });
+
+  test("combined reports keep the weakest score and every strategy seen", () => {
+    const week1 = diagnose("week", { title: { value: "Intro", candidates: CANDIDATES, matched: ".rc-Title" } });
+    const week2 = diagnose("week", { title: { value: "", candidates: CANDIDATES, matched: null } });
+    assert.deepEqual(combineDiagnostics([week1, week2]), {
+      page_type: "week",
+      pages: 2,
+      strategies: { title: [".rc-Title", null] },
+      empty_fields: ["title"],
+      confidence: 0,
+    });
+    assert.equal(combineDiagnostics([week1]), week1);
+  });
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fieldRule, loadScrapeRules, mergeScrapeRules, pageReadiness, validateScrapeRules } from "../src/scrape-rules.js";
+import { startStubCoursera } from "./support/stub-coursera.js";
+import { browserUnavailableReason, callTool, connectStdio, serverEnv } from "./support/mcp-server.js";
+
+const BROWSER_TIMEOUT_MS = 60000;
+
+const browserSkip = await browserUnavailableReason();
+
+describe("scrape rules", () => {
+  const defaults = loadScrapeRules(null);
+
+  test("the built-in rules are valid", () => {
+    assert.doesNotThrow(() => validateScrapeRules(defaults, "scrape-rules.json"));
+    for (const pageType of ["page", "reading", "lecture", "quiz", "week", "progress", "grades"]) {
+      assert.ok(defaults[pageType], `no rules for ${pageType}`);
+    }
+  });
+
+  test("readiness options come from the ready selectors and response patterns", () => {
+    const ready = pageReadiness(defaults.reading);
+    assert.equal(ready.selector, defaults.reading.ready.selectors.join(", "));
+    assert.ok(ready.responses[0].test("https://www.coursera.org/api/onDemandSupplements.v1/123"));
+  });
+
+  test("overrides replace the settings they name and keep the rest", () => {
+    const merged = mergeScrapeRules(defaults, {
+      lecture: { fields: { title: { selectors: [".rc-NewVideoTitle", "h1"] } } },
+      quiz: { fields: { questions: { fields: { prompt: { selectors: [".rc-NewPrompt"] } } } } },
+      page: { remove: ["header"] },
+    });
+    assert.deepEqual(merged.lecture.fields.title, { selectors: [".rc-NewVideoTitle", "h1"], read: "raw_text" });
+    assert.deepEqual(merged.lecture.fields.transcript, defaults.lecture.fields.transcript);
+    assert.deepEqual(fieldRule(merged.quiz, "questions.prompt").selectors, [".rc-NewPrompt"]);
+    assert.deepEqual(fieldRule(merged.quiz, "questions.prompt").fields, fieldRule(defaults.quiz, "questions.prompt").fields);
+    assert.deepEqual(fieldRule(merged.quiz, "questions.options"), fieldRule(defaults.quiz, "questions.options"));
+    assert.deepEqual(merged.page.remove, ["header"]);
+    assert.deepEqual(merged.page.fields, defaults.page.fields);
+    // The defaults are left alone
+    assert.notDeepEqual(defaults.lecture.fields.title.selectors, [".rc-NewVideoTitle", "h1"]);
+  });
+
+  test("null removes a setting", () => {
+    const merged = mergeScrapeRules(defaults, { week: { fields: { lessons: { fallback: null } } } });
+    assert.equal(merged.week.fields.lessons.fallback, undefined);
+    assert.deepEqual(merged.week.fields.lessons.selectors, defaults.week.fields.lessons.selectors);
+  });
+
+  test("unknown page types, fields and settings are rejected", () => {
+    assert.throws(
+      () => mergeScrapeRules(defaults, { lectures: {} }, "rules.json"),
+      /Invalid scrape rules in rules\.json: "lectures" isn't a known page type/
+    );
+    assert.throws(
+      () => mergeScrapeRules(defaults, { lecture: { fields: { titel: { selectors: ["h1"] } } } }),
+      /lecture\.fields\.titel isn't a known field/
+    );
+    assert.throws(
+      () => mergeScrapeRules(defaults, { lecture: { fields: { title: { selector: "h1" } } } }),
+      /lecture\.fields\.title\.selector isn't a field setting/
+    );
+  });
+
+  test("invalid values are rejected", () => {
+    assert.throws(
+      () => mergeScrapeRules(defaults, { progress: { fields: { percentage: { selectors: [] } } } }),
+      /progress\.fields\.percentage\.selectors must be a non-empty list/
+    );
+    assert.throws(
+      () => mergeScrapeRules(defaults, { progress: { fields: { percentage: { read: "value" } } } }),
+      /progress\.fields\.percentage\.read must be one of/
+    );
+    assert.throws(
+      () => mergeScrapeRules(defaults, { reading: { ready: { responses: ["(unclosed"] } } }),
+      /reading\.ready\.responses has an invalid pattern/
+    );
+  });
+
+  describe("override file", () => {
+    let dir;
+
+    before(async () => {
+      dir = await mkdtemp(join(tmpdir(), "coursera-rules-"));
+    });
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test("is merged over the defaults", async () => {
+      const file = join(dir, "rules.json");
+      await writeFile(file, JSON.stringify({ progress: { fields: { percentage: { selectors: [".rc-NewProgress"] } } } }));
+      const rules = loadScrapeRules(file);
+      assert.deepEqual(rules.progress.fields.percentage.selectors, [".rc-NewProgress"]);
+      assert.deepEqual(rules.week, defaults.week);
+    });
+
+    test("names the file when it can't be used", async () => {
+      const file = join(dir, "broken.json");
+      await writeFile(file, "{ progress: ");
+      assert.throws(() => loadScrapeRules(file), new RegExp(`Invalid JSON in scrape rules ${file}`));
+      assert.throws(() => loadScrapeRules(join(dir, "missing.json")), /Can't read scrape rules from .*missing\.json/);
+    });
+
+    test("changes what the browser tools extract", { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+      if (browserSkip) {
+        t.skip(browserSkip);
+        return;
+      }
+      const file = join(dir, "reading.json");
+      await writeFile(file, JSON.stringify({
+        page: { fields: { content: { selectors: [".rc-NotThereAnymore", ".rc-ReadingItem"] } } },
+      }));
+      const stub = await startStubCoursera();
+      const client = await connectStdio(serverEnv(stub.url, { COURSERA_SCRAPE_RULES: file }));
+      try {
+        const result = await callTool(client, "get_page_content", {
+          url: `${stub.url}/learn/machine-learning/supplement/rdgSetup/setup`,
+        });
+        assert.match(result.content, /Setting Up Your Environment/);
+        assert.equal(result.diagnostics.strategies.content, ".rc-ReadingItem");
+        assert.equal(result.diagnostics.confidence, 0.85);
+      } finally {
+        await client.close();
+        await stub.close();
+      }
+    });
+  });
+});
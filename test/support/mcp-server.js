@@ -0,0 +1,156 @@
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import puppeteer from "puppeteer";
+
+// Start the MCP server (stdio or Streamable HTTP) against the stub Coursera and
+// connect a client to it
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "..", "..");
+const FIXTURES_DIR = resolve(ROOT_DIR, "test", "fixtures");
+const STARTUP_TIMEOUT_MS = 15000;
+
+export const TEST_API_KEY = "test-api-key";
+
+// Environment for a server talking to the stub. The cookie file takes precedence
+// over COURSERA_COOKIES/COURSERA_CAUTH, so a developer's .env.local can't leak in.
+export function serverEnv(stubUrl, overrides = {}) {
+  return {
+    ...process.env,
+    COURSERA_BASE_URL: stubUrl,
+    COURSERA_COOKIE_FILE: resolve(FIXTURES_DIR, "cookies.txt"),
+    COURSERA_CACHE: "memory",
+    COURSERA_HTTP_RATE_PER_SECOND: "1000",
+    COURSERA_HTTP_BURST: "1000",
+    COURSERA_HTTP_MAX_RETRIES: "0",
+    ...overrides,
+  };
+}
+
+export function fixturePath(name) {
+  return resolve(FIXTURES_DIR, name);
+}
+
+// Whether Puppeteer can start Chromium here; browser-backed tools are skipped if not
+export async function browserUnavailableReason() {
+  try {
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+    });
+    await browser.close();
+    return null;
+  } catch (error) {
+    // Puppeteer's messages run to several paragraphs; the first sentence says enough
+    return `Chromium can't be launched: ${error.message.split(/\.\s+(?=[A-Z])/)[0]}`;
+  }
+}
+
+function newClient() {
+  return new Client({ name: "coursera-mcp-tests", version: "0.0.0" });
+}
+
+export async function connectStdio(env) {
+  const client = newClient();
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [resolve(ROOT_DIR, "src", "server.js")],
+    cwd: ROOT_DIR,
+    env,
+    stderr: "ignore",
+  }));
+  return client;
+}
+
+function getFreePort() {
+  return new Promise((resolvePort, reject) => {
+    const server = createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolvePort(port));
+    });
+  });
+}
+
+// Spawn src/http-server.js and wait until it listens. Resolves to { url, close }.
+// Pass apiKey: null to run it without MCP_API_KEY.
+export async function startHttpServer(env, { apiKey = TEST_API_KEY } = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [resolve(ROOT_DIR, "src", "http-server.js")], {
+    cwd: ROOT_DIR,
+    env: {
+      ...env,
+      MCP_HTTP_HOST: "127.0.0.1",
+      MCP_HTTP_PORT: String(port),
+      MCP_API_KEY: apiKey ?? "",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolveStart, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`HTTP server didn't start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`));
+    }, STARTUP_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Listening on:")) {
+        clearTimeout(timer);
+        resolveStart();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`HTTP server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolveClose) => {
+      if (child.exitCode !== null) {
+        resolveClose();
+        return;
+      }
+      child.once("exit", () => resolveClose());
+      child.kill("SIGINT");
+    }),
+  };
+}
+
+export async function connectHttp(serverUrl, apiKey = TEST_API_KEY) {
+  const client = newClient();
+  await client.connect(new StreamableHTTPClientTransport(new URL("/mcp", serverUrl), {
+    requestInit: { headers: { Authorization: `Bearer ${apiKey}` } },
+  }));
+  return client;
+}
+
+// The JSON a tool returned; throws with the error body if the call failed
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  const body = JSON.parse(result.content[0].text);
+  if (result.isError) {
+    const error = new Error(`${name} failed: ${body.error?.code}: ${body.error?.message}`);
+    error.body = body;
+    throw error;
+  }
+  return body;
+}
+
+// The error object of a failed tool call
+export async function callToolError(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  if (!result.isError) {
+    throw new Error(`${name} succeeded but was expected to fail`);
+  }
+  return JSON.parse(result.content[0].text).error;
+}
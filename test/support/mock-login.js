@@ -0,0 +1,103 @@
+import { createServer } from "node:http";
+import { generateTotp } from "../../src/login-flow.js";
+
+// A local login page for `npm run login --login-url`: an email/password form,
+// then a two-factor code form, then the session cookies. Wrong answers get an
+// error alert like Coursera's.
+
+export const MOCK_CAUTH = "mock-cauth-token";
+
+const TOTP_STEP_MS = 30 * 1000;
+
+function page(body) {
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Log in</title></head><body>${body}</body></html>`;
+}
+
+const PASSWORD_FORM = `<form method="post" action="/login">
+  <input type="email" name="email" autocomplete="email">
+  <input type="password" name="password" autocomplete="current-password">
+  <button type="submit">Log in</button>
+</form>`;
+
+const TOTP_FORM = `<form method="post" action="/login/totp">
+  <input type="text" name="code" autocomplete="one-time-code">
+  <button type="submit">Verify</button>
+</form>`;
+
+function alert(message) {
+  return `<div role="alert">${message}</div>`;
+}
+
+function readForm(req) {
+  return new Promise((resolveForm, reject) => {
+    let body = "";
+    req.setEncoding("utf-8");
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => resolveForm(Object.fromEntries(new URLSearchParams(body))));
+    req.on("error", reject);
+  });
+}
+
+function sendPage(res, body, cookies = []) {
+  res.writeHead(200, {
+    "Content-Type": "text/html; charset=utf-8",
+    ...(cookies.length > 0 && { "Set-Cookie": cookies.map((cookie) => `${cookie}; Path=/`) }),
+  });
+  res.end(page(body));
+}
+
+// Codes from the current or previous step are accepted, as real servers allow for
+// clock drift and slow typing
+function isValidTotp(secret, code) {
+  const now = Date.now();
+  return code === generateTotp(secret, now) || code === generateTotp(secret, now - TOTP_STEP_MS);
+}
+
+// Resolves to { url, submissions, close }. `submissions` lists each form posted
+// as { path, fields }.
+export async function startMockLogin({ email, password, totpSecret }) {
+  const submissions = [];
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (req.method !== "POST") {
+      sendPage(res, PASSWORD_FORM);
+      return;
+    }
+
+    const fields = await readForm(req);
+    submissions.push({ path: url.pathname, fields });
+    if (url.pathname === "/login") {
+      if (fields.email !== email || fields.password !== password) {
+        sendPage(res, alert("Incorrect email or password") + PASSWORD_FORM);
+        return;
+      }
+      sendPage(res, TOTP_FORM, ["mock_pending=1"]);
+      return;
+    }
+    if (url.pathname === "/login/totp" && /(?:^|;\s*)mock_pending=1(?:;|$)/.test(req.headers.cookie || "")) {
+      if (!isValidTotp(totpSecret, fields.code)) {
+        sendPage(res, alert("Invalid verification code") + TOTP_FORM);
+        return;
+      }
+      sendPage(res, "<h1>Welcome back</h1>", [`CAUTH=${MOCK_CAUTH}`, "CSRF3-Token=mock-csrf"]);
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise((resolveListen, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolveListen);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    submissions,
+    close: () => new Promise((resolveClose) => {
+      server.closeAllConnections?.();
+      server.close(() => resolveClose());
+    }),
+  };
+}
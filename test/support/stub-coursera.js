@@ -0,0 +1,154 @@
+import { existsSync, readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// A local stand-in for www.coursera.org that serves recorded fixtures, so the
+// server can run end to end with COURSERA_BASE_URL pointing here.
+//
+// test/fixtures/coursera/
+//   api/<resource>.json           e.g. memberships.v1.json; filtered by ?ids=, ?slug= or /<id>
+//   api/<resource>/<key>.json     a response for one id or slug, e.g. onDemandCourseMaterials.v2/machine-learning.json
+//   pages/<path>.html             saved pages; /learn/x/lecture/id/slug falls back to lecture/id.html
+//   subtitles/<file>              served at /subtitles/<file>
+//
+// API fixtures can link to {{alt_origin}}: this server under another host name,
+// standing in for a CDN that must not see the Coursera cookies.
+//
+// Requests without the expected CAUTH cookie get a 401 from the API and a
+// redirect to the login page from everything else, like a logged-out browser.
+
+export const FIXTURES_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "coursera");
+export const STUB_CAUTH = "stub-cauth-token";
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".html": "text/html; charset=utf-8",
+  ".vtt": "text/vtt; charset=utf-8",
+};
+
+function readFixture(...parts) {
+  const file = join(FIXTURES_DIR, ...parts);
+  // Keep requests inside the fixtures directory
+  if (!file.startsWith(FIXTURES_DIR) || !existsSync(file)) return null;
+  return readFileSync(file, "utf-8");
+}
+
+function send(res, status, body, type = CONTENT_TYPES[".json"]) {
+  res.writeHead(status, { "Content-Type": type });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function notFound(res, url) {
+  send(res, 404, { errorCode: "Not Found", message: `No fixture for ${url.pathname}${url.search}`, details: null });
+}
+
+// Keep the elements whose id or slug was asked for; linked records stay as recorded
+function filterElements(response, { id, ids, slug }) {
+  let elements = response.elements || [];
+  if (id) elements = elements.filter((el) => el.id === id);
+  if (ids) elements = elements.filter((el) => ids.includes(el.id));
+  if (slug) elements = elements.filter((el) => el.slug === slug);
+  return { ...response, elements };
+}
+
+function serveApi(res, url, altOrigin) {
+  const [resource, rawId] = url.pathname.replace(/^\/api\//, "").split("/");
+  const id = rawId ? decodeURIComponent(rawId) : null;
+  const slug = url.searchParams.get("slug");
+  const readApiFixture = (...parts) => readFixture("api", ...parts)?.replaceAll("{{alt_origin}}", altOrigin);
+
+  const key = id || slug;
+  const keyed = key && readApiFixture(resource, `${key}.json`);
+  if (keyed) {
+    send(res, 200, keyed);
+    return;
+  }
+  const recorded = readApiFixture(`${resource}.json`);
+  if (!recorded) {
+    notFound(res, url);
+    return;
+  }
+  const response = filterElements(JSON.parse(recorded), {
+    id,
+    ids: url.searchParams.get("ids")?.split(","),
+    slug,
+  });
+  if (id && response.elements.length === 0) {
+    notFound(res, url);
+    return;
+  }
+  send(res, 200, response);
+}
+
+// /learn/course/lecture/id/slug is served from the longest saved prefix
+function servePage(res, url) {
+  if (/[?&]authMode=login\b/.test(url.search)) {
+    send(res, 200, readFixture("pages", "login.html"), CONTENT_TYPES[".html"]);
+    return;
+  }
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  for (let length = parts.length; length > 0; length--) {
+    const html = readFixture("pages", `${parts.slice(0, length).join("/")}.html`);
+    if (html) {
+      send(res, 200, html, CONTENT_TYPES[".html"]);
+      return;
+    }
+  }
+  send(res, 404, "<!DOCTYPE html><title>Page not found</title><h1>Page not found</h1>", CONTENT_TYPES[".html"]);
+}
+
+function isLoggedIn(req) {
+  return new RegExp(`(?:^|;\\s*)CAUTH=${STUB_CAUTH}(?:;|$)`).test(req.headers.cookie || "");
+}
+
+// Resolves to { url, requests, close }. `requests` lists every request received
+// as { method, host, path, cookie }.
+export async function startStubCoursera({ port = 0, host = "127.0.0.1" } = {}) {
+  const requests = [];
+  let altOrigin = null;
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    requests.push({
+      method: req.method,
+      host: req.headers.host,
+      path: `${url.pathname}${url.search}`,
+      cookie: req.headers.cookie || null,
+    });
+
+    if (url.pathname.startsWith("/subtitles/")) {
+      const name = decodeURIComponent(url.pathname.slice("/subtitles/".length));
+      const body = readFixture("subtitles", name);
+      if (!body) return notFound(res, url);
+      return send(res, 200, body, CONTENT_TYPES[".vtt"]);
+    }
+    if (url.pathname.startsWith("/api/")) {
+      if (!isLoggedIn(req)) {
+        return send(res, 401, { errorCode: "Not Authorized", message: null, details: null });
+      }
+      return serveApi(res, url, altOrigin);
+    }
+    if (!isLoggedIn(req) && url.pathname.startsWith("/learn/")) {
+      res.writeHead(302, { Location: "/?authMode=login" });
+      return res.end();
+    }
+    return servePage(res, url);
+  });
+
+  await new Promise((resolveListen, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolveListen);
+  });
+  const address = server.address();
+  altOrigin = `http://localhost:${address.port}`;
+
+  return {
+    url: `http://${host}:${address.port}`,
+    requests,
+    close: () => new Promise((resolveClose) => {
+      server.closeAllConnections?.();
+      server.close(() => resolveClose());
+    }),
+  };
+}
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { STUB_CAUTH, startStubCoursera } from "./support/stub-coursera.js";
+import { callTool, connectHttp, serverEnv, startHttpServer } from "./support/mcp-server.js";
+
+// Multi-tenant mode: API keys from MCP_TENANTS_FILE pick the Coursera cookies
+
+const RELOAD_TIMEOUT_MS = 5000;
+
+function cookieJar(cauth) {
+  return `# Netscape HTTP Cookie File\n.coursera.org\tTRUE\t/\tTRUE\t0\tCAUTH\t${cauth}\n`;
+}
+
+// Poll `check` until it stops throwing, for changes picked up by a file watcher
+async function eventually(check) {
+  const deadline = Date.now() + RELOAD_TIMEOUT_MS;
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() > deadline) throw error;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+}
+
+describe("multi-tenant mode", () => {
+  let stub;
+  let httpServer;
+  let dir;
+  let tenantsFile;
+
+  const ALICE = { id: "alice", api_key: "alice-key", cauth: STUB_CAUTH };
+  const BOB = { id: "bob", api_key: "bob-key", cauth: "bob-cauth" };
+  // Set, but unused in multi-tenant mode
+  const SHARED_API_KEY = "shared-api-key";
+
+  function writeTenants(tenants) {
+    return writeFile(tenantsFile, JSON.stringify({ tenants }, null, 2));
+  }
+
+  function postPing(apiKey, sessionId) {
+    return fetch(new URL("/mcp", httpServer.url), {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        "Mcp-Session-Id": sessionId,
+      },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" }),
+    });
+  }
+
+  async function authStatus(apiKey) {
+    const client = await connectHttp(httpServer.url, apiKey);
+    try {
+      return await callTool(client, "auth_status");
+    } finally {
+      await client.close();
+    }
+  }
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "coursera-mcp-tenants-"));
+    tenantsFile = join(dir, "tenants.json");
+    await writeTenants([ALICE, BOB]);
+    stub = await startStubCoursera();
+    httpServer = await startHttpServer(serverEnv(stub.url, { MCP_TENANTS_FILE: tenantsFile }), { apiKey: SHARED_API_KEY });
+  });
+
+  after(async () => {
+    await httpServer?.close();
+    await stub?.close();
+    if (dir) await rm(dir, { recursive: true, force: true });
+  });
+
+  test("one tenant's key can't use another tenant's session", async () => {
+    const client = await connectHttp(httpServer.url, ALICE.api_key);
+    try {
+      const sessionId = client.transport.sessionId;
+      assert.equal((await postPing(BOB.api_key, sessionId)).status, 403);
+      assert.equal((await postPing(ALICE.api_key, sessionId)).status, 200);
+    } finally {
+      await client.close();
+    }
+  });
+
+  test("each key only ever sends its own tenant's cookies", async () => {
+    assert.equal((await authStatus(ALICE.api_key)).valid, true);
+    const bob = await authStatus(BOB.api_key);
+    assert.equal(bob.valid, false);
+    assert.equal(bob.error.code, "auth_expired");
+
+    const cookies = stub.requests.map((request) => request.cookie).filter(Boolean);
+    assert.ok(cookies.some((cookie) => cookie.includes("CAUTH=bob-cauth")));
+    for (const cookie of cookies) {
+      assert.ok(!(cookie.includes("bob-cauth") && cookie.includes(STUB_CAUTH)), cookie);
+    }
+  });
+
+  test("MCP_API_KEY doesn't unlock the admin endpoint", async () => {
+    const response = await fetch(new URL("/admin/credentials", httpServer.url), {
+      method: "POST",
+      headers: { Authorization: `Bearer ${SHARED_API_KEY}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ tenant: "alice", cauth: "stolen" }),
+    });
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /set MCP_ADMIN_KEY$/);
+  });
+
+  test("picks up added tenants, their cookie files and removals", async () => {
+    const carolCookies = join(dir, "carol-cookies.txt");
+    await writeFile(carolCookies, cookieJar("carol-expired"));
+    await writeTenants([ALICE, { id: "carol", api_key: "carol-key", cookie_file: "carol-cookies.txt" }]);
+
+    await eventually(async () => assert.equal((await authStatus("carol-key")).valid, false));
+    await eventually(async () => {
+      const response = await postPing(BOB.api_key, "none");
+      assert.equal(response.status, 401);
+    });
+
+    // Carol's cookie file wasn't in the tenants file when watching started
+    await writeFile(carolCookies, cookieJar(STUB_CAUTH));
+    await eventually(async () => assert.equal((await authStatus("carol-key")).valid, true));
+  });
+});
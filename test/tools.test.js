@@ -0,0 +1,597 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startStubCoursera } from "./support/stub-coursera.js";
+import {
+  browserUnavailableReason,
+  callTool,
+  callToolError,
+  connectHttp,
+  connectStdio,
+  fixturePath,
+  serverEnv,
+  startHttpServer,
+  TEST_API_KEY,
+} from "./support/mcp-server.js";
+
+// Every tool, end to end through an MCP client, against the stub Coursera in
+// test/support/stub-coursera.js. The same cases run over stdio and Streamable HTTP.
+
+const BROWSER_TIMEOUT_MS = 60000;
+
+// One case per tool. `browser` cases render pages in Chromium and are skipped
+// when it can't be launched. `check` gets the tool's JSON and the stub's URL.
+const TOOL_CASES = {
+  auth_status: {
+    args: {},
+    check(result) {
+      assert.equal(result.valid, true);
+      assert.equal(result.user_id, 4815162);
+      assert.equal(result.name, "Ada Learner");
+      assert.equal(result.login_redirect.redirecting, false);
+    },
+  },
+  list_enrollments: {
+    args: {},
+    check(result) {
+      assert.equal(result.user_id, 4815162);
+      assert.deepEqual(result.courses.map((course) => course.slug), ["machine-learning", "python-basics"]);
+      assert.equal(result.memberships.length, 2);
+      assert.deepEqual(result.programs.map((program) => program.programId), ["prgDS01"]);
+    },
+  },
+  get_course: {
+    args: { course_slug: "machine-learning" },
+    check(result) {
+      assert.equal(result.id, "crsML001");
+      assert.equal(result.name, "Machine Learning");
+      assert.equal(result.workload, "4-6 hours/week");
+    },
+  },
+  list_course_materials: {
+    args: { course_slug: "machine-learning" },
+    check(result, stubUrl) {
+      assert.equal(result.source, "api");
+      assert.equal(result.course_id, "crsML001");
+      assert.deepEqual(result.modules.map((mod) => [mod.name, mod.week]), [["Introduction", 1], ["Linear Regression", 2]]);
+      assert.equal(result.item_count, 4);
+      assert.equal(result.completed_count, 2);
+      const [lecture, reading] = result.modules[0].lessons[0].items;
+      assert.deepEqual(
+        { type: lecture.type, url: lecture.url, duration: lecture.duration_minutes, completed: lecture.completed },
+        { type: "lecture", url: `${stubUrl}/learn/machine-learning/lecture/lecWelcome/welcome`, duration: 7, completed: true }
+      );
+      assert.equal(reading.type, "reading");
+    },
+  },
+  list_assignments: {
+    args: { course_slug: "machine-learning" },
+    check(result) {
+      assert.equal(result.source, "api");
+      assert.deepEqual(
+        result.assignments.map((item) => [item.id, item.type, item.module, item.week]),
+        [["quzCost", "exam", "Linear Regression", 2]]
+      );
+    },
+  },
+  get_grades: {
+    args: { course_slug: "machine-learning" },
+    check(result) {
+      assert.equal(result.source, "api");
+      assert.equal(result.overall_grade_percent, 45);
+      assert.equal(result.passed, false);
+      assert.deepEqual(result.items, [{
+        item_id: "quzCost",
+        name: "Cost Function Quiz",
+        type: "exam",
+        url: result.items[0].url,
+        weight_percent: 100,
+        best_score_percent: 45,
+        passing_score_percent: 80,
+        attempts_used: 1,
+        status: "failed",
+        due_at: "2030-01-01T00:00:00.000Z",
+      }, {
+        // Below the passing score, but Coursera hasn't marked it failed
+        item_id: "quzPractice",
+        name: "Practice Quiz",
+        type: "quiz",
+        url: result.items[1].url,
+        weight_percent: 0,
+        best_score_percent: 1,
+        passing_score_percent: 50,
+        attempts_used: 1,
+        status: "pending",
+        due_at: null,
+      }]);
+      assert.match(result.items[0].url, /\/learn\/machine-learning\/exam\/quzCost\/cost-function-quiz$/);
+    },
+  },
+  list_degree_programs: {
+    args: {},
+    check(result) {
+      assert.equal(result.user_id, 4815162);
+      assert.deepEqual(result.programs.map((program) => program.id), ["4815162~prgDS01"]);
+    },
+  },
+  list_specializations: {
+    args: {},
+    check(result) {
+      const [specialization] = result.specializations;
+      assert.equal(specialization.slug, "applied-ai");
+      assert.equal(specialization.product_type, "specialization");
+      assert.deepEqual(
+        specialization.courses.map((course) => [course.slug, course.status]),
+        [["python-basics", "completed"], ["machine-learning", "started"], ["neural-networks", "not_started"]]
+      );
+      assert.equal(specialization.completed_courses, 1);
+      assert.equal(specialization.percent_complete, 33);
+    },
+  },
+  search_courses: {
+    args: { query: "machine learning" },
+    check(result) {
+      assert.deepEqual(
+        result.results.map((item) => [item.slug, item.product_type, item.enrollment_status]),
+        [
+          ["machine-learning", "course", "enrolled"],
+          ["applied-ai", "specialization", "enrolled"],
+          ["regression-with-sheets", "guided_project", "not_enrolled"],
+        ]
+      );
+      assert.equal(result.results[0].partners[0], "Stanford University");
+      assert.equal(result.results[1].enrolled_courses, 2);
+      assert.equal(result.results[1].total_courses, 3);
+    },
+  },
+  get_deadlines: {
+    args: { from: "2029-12-01T00:00:00Z", to: "2030-02-01T00:00:00Z" },
+    check(result) {
+      assert.deepEqual(
+        result.deadlines.map((item) => [item.course_slug, item.item_id, item.due_at, item.overdue]),
+        [["machine-learning", "quzCost", "2030-01-01T00:00:00.000Z", false]]
+      );
+      assert.equal(result.errors, undefined);
+    },
+  },
+  manage_cache: {
+    args: {},
+    check(result) {
+      assert.equal(result.enabled, true);
+      assert.ok(Array.isArray(result.entries));
+    },
+  },
+  get_page_content: {
+    browser: true,
+    args: (stubUrl) => ({ url: `${stubUrl}/learn/machine-learning/supplement/rdgSetup/setup` }),
+    check(result) {
+      assert.equal(result.foundSelector, ".rc-CML");
+      assert.deepEqual(result.diagnostics, {
+        page_type: "page",
+        strategies: { content: ".rc-CML" },
+        empty_fields: [],
+        confidence: 1,
+      });
+      assert.match(result.title, /Setting Up Your Environment/);
+      // Plain text unless another format is asked for
+      assert.equal(result.format, "text");
+      assert.match(result.content, /Install Python/);
+      assert.doesNotMatch(result.content, /## Install Python/);
+      assert.doesNotMatch(result.content, /My Learning/);
+      // The markup only comes back when asked for
+      assert.equal(result.html, undefined);
+    },
+  },
+  get_reading: {
+    args: { course_slug: "machine-learning", item_id: "rdgSetup", item_name: "setup", format: "markdown" },
+    check(result) {
+      assert.equal(result.item_id, "rdgSetup");
+      assert.equal(result.source, "api");
+      assert.equal(result.title, "Setting Up Your Environment");
+      assert.match(result.url, /\/learn\/machine-learning\/supplement\/rdgSetup\/setup$/);
+      assert.equal(result.diagnostics.confidence, 1);
+      assert.match(result.content, /## Install Python/);
+      assert.match(result.content, /\| numpy \| 1\.26 \|/);
+      assert.match(result.content, /\$J\(\\theta\)\$/);
+      assert.match(result.content, /## Libraries/);
+      assert.match(result.content, /numpy/);
+      assert.match(result.content, /python3 --version/);
+      assert.equal(result.html, undefined);
+    },
+  },
+  get_lecture: {
+    args: { course_slug: "machine-learning", item_id: "lecWelcome", item_name: "welcome" },
+    check(result, stubUrl) {
+      assert.equal(result.source, "api");
+      assert.equal(result.title, "Welcome to Machine Learning");
+      assert.equal(result.duration_minutes, 7);
+      assert.equal(result.video_url, `${stubUrl}/videos/welcome-720p.mp4`);
+      assert.equal(result.diagnostics.strategies.transcript, "subtitles");
+      assert.equal(result.diagnostics.confidence, 1);
+      assert.equal(result.transcript.source, "subtitles");
+      assert.equal(result.transcript.language, "en");
+      assert.deepEqual(result.transcript.available_languages, ["en", "es"]);
+      assert.deepEqual(
+        result.transcript.cues.map((cue) => [cue.timestamp, cue.text]),
+        [["0:00", "Welcome to machine learning."], ["0:04", "In this course you will build real models."]]
+      );
+    },
+  },
+  get_assignment: {
+    browser: true,
+    args: { course_slug: "machine-learning", item_id: "quzCost", item_name: "cost-function-quiz" },
+    check(result) {
+      assert.equal(result.title, "Cost Function Quiz");
+      assert.equal(result.source, "browser");
+      assert.match(result.url, /\/exam\/quzCost\/cost-function-quiz$/);
+      assert.deepEqual(result.attempts, { allowed: 3, unlimited: false, window: "8 hours" });
+      assert.equal(result.passing_grade_percent, 80);
+      assert.equal(result.time_limit_minutes, 30);
+      assert.equal(result.question_count, 2);
+      assert.deepEqual(
+        result.questions.map((question) => [question.number, question.type, question.points]),
+        [[1, "single_choice", 1], [2, "multiple_choice", 2]]
+      );
+      assert.equal(result.questions[0].options[0].selected, true);
+      // .rc-FormPartsQuestion is the second question candidate
+      assert.equal(result.diagnostics.strategies.questions, ".rc-FormPartsQuestion");
+      assert.deepEqual(result.diagnostics.empty_fields, []);
+    },
+  },
+  get_progress: {
+    browser: true,
+    args: { course_slug: "machine-learning" },
+    check(result) {
+      assert.equal(result.percentage, "50%");
+      assert.equal(result.completed_items, 2);
+      assert.equal(result.total_items, 4);
+      assert.equal(result.progress_bar_width, "50%");
+      assert.equal(result.diagnostics.confidence, 1);
+    },
+  },
+  scraper_selfcheck: {
+    browser: true,
+    args: { course_slug: "machine-learning" },
+    check(result) {
+      assert.equal(result.drift_detected, false);
+      assert.deepEqual(
+        result.extractors.map((check) => [check.extractor, check.item_id, check.status]),
+        [
+          ["week", undefined, "ok"],
+          ["reading", "rdgSetup", "ok"],
+          ["lecture", "lecWelcome", "ok"],
+          ["quiz", "quzCost", "ok"],
+          ["progress", undefined, "ok"],
+          ["grades", undefined, "ok"],
+        ]
+      );
+    },
+  },
+};
+
+const browserSkip = await browserUnavailableReason();
+
+// `connect(stubUrl)` starts a server and resolves to { client, close }
+function defineToolTests(label, connect) {
+  describe(label, () => {
+    let stub;
+    let server;
+    let client;
+
+    before(async () => {
+      stub = await startStubCoursera();
+      server = await connect(stub.url);
+      client = server.client;
+    });
+
+    after(async () => {
+      await client?.close();
+      await server?.close?.();
+      await stub?.close();
+    });
+
+    test("lists exactly the tools covered here", async () => {
+      const { tools } = await client.listTools();
+      assert.deepEqual(tools.map((tool) => tool.name).sort(), Object.keys(TOOL_CASES).sort());
+    });
+
+    for (const [name, testCase] of Object.entries(TOOL_CASES)) {
+      test(name, { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+        if (testCase.browser && browserSkip) {
+          t.skip(browserSkip);
+          return;
+        }
+        const args = typeof testCase.args === "function" ? testCase.args(stub.url) : testCase.args;
+        testCase.check(await callTool(client, name, args), stub.url);
+      });
+    }
+
+    test("list_course_materials falls back to the week pages", { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+      if (browserSkip) {
+        t.skip(browserSkip);
+        return;
+      }
+      const result = await callTool(client, "list_course_materials", { course_slug: "python-basics" });
+      assert.equal(result.source, "browser");
+      assert.equal(result.api_error.code, "not_found");
+      assert.deepEqual(result.modules.map((mod) => mod.name), ["Getting Started", "Control Flow"]);
+      const items = result.modules.flatMap((mod) => mod.lessons.flatMap((lesson) => lesson.items));
+      assert.deepEqual(
+        items.map((item) => [item.id, item.type, item.completed, item.locked]),
+        [["lecVars", "lecture", true, false], ["rdgTypes", "reading", null, false], ["lecLoops", "lecture", null, false], ["quzLoops", "quiz", null, true]]
+      );
+    });
+
+    test("get_reading falls back to the page when the API has no content", { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+      if (browserSkip) {
+        t.skip(browserSkip);
+        return;
+      }
+      // python-basics has no supplement fixture
+      const result = await callTool(client, "get_reading", { course_slug: "python-basics", item_id: "rdgTypes", item_name: "types" });
+      assert.equal(result.source, "browser");
+      assert.equal(result.api_error.code, "not_found");
+      assert.match(result.content, /integers, floats, strings and booleans/);
+    });
+
+    test("debug returns a screenshot and the trimmed DOM", { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+      if (browserSkip) {
+        t.skip(browserSkip);
+        return;
+      }
+      const result = await client.callTool({
+        name: "get_page_content",
+        arguments: { url: `${stub.url}/learn/machine-learning/supplement/rdgSetup/setup`, debug: true },
+      });
+      const [text, image] = result.content;
+      const body = JSON.parse(text.text);
+      assert.equal(image.type, "image");
+      assert.equal(image.mimeType, "image/png");
+      assert.equal(body.debug[0].screenshot, "image 1");
+      assert.match(body.debug[0].dom, /Setting Up Your Environment/);
+      assert.doesNotMatch(body.debug[0].dom, /<script/);
+    });
+
+    test("scraper_selfcheck flags pages its selectors found nothing on", { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+      if (browserSkip) {
+        t.skip(browserSkip);
+        return;
+      }
+      // python-basics has week pages but no API outline, progress or grades pages
+      // The broken pages never become ready, so don't wait the default 30s for them
+      const result = await callTool(client, "scraper_selfcheck", { course_slug: "python-basics", timeout_ms: 3000 });
+      assert.equal(result.drift_detected, true);
+      assert.equal(result.outline_error.code, "not_found");
+      const byExtractor = Object.fromEntries(result.extractors.map((check) => [check.extractor, check]));
+      assert.equal(byExtractor.week.status, "ok");
+      assert.equal(byExtractor.reading.status, "skipped");
+      assert.equal(byExtractor.progress.status, "drift");
+      assert.deepEqual(byExtractor.progress.empty_fields, ["percentage", "progress_bar_width", "total_items"]);
+      assert.equal(byExtractor.grades.status, "drift");
+      assert.equal(byExtractor.grades.error.code, "scrape_failed");
+    });
+
+    test("search_courses pages through courses and specializations together", async () => {
+      const first = await callTool(client, "search_courses", { query: "machine learning", page_size: 2 });
+      assert.deepEqual(first.results.map((item) => item.slug), ["machine-learning", "applied-ai"]);
+      assert.equal(first.has_more, true);
+      const second = await callTool(client, "search_courses", { query: "machine learning", page_size: 2, page: 2 });
+      assert.deepEqual(second.results.map((item) => item.slug), ["regression-with-sheets"]);
+      assert.equal(second.has_more, false);
+    });
+
+    test("item reads share one cached course outline", async () => {
+      const outlineRequests = () => stub.requests.filter((request) => request.path.startsWith("/api/onDemandCourseMaterials")).length;
+      const before = outlineRequests();
+      // Arguments no earlier case used, so the items themselves aren't cached yet
+      const reading = await callTool(client, "get_reading", { course_slug: "machine-learning", item_id: "rdgSetup", format: "html" });
+      assert.match(reading.content, /<h2>Install Python<\/h2>/);
+      await callTool(client, "get_lecture", { course_slug: "machine-learning", item_id: "lecWelcome", transcript_format: "text" });
+      assert.ok(outlineRequests() - before <= 1);
+    });
+
+    test("get_lecture doesn't send the Coursera cookies to other subtitle hosts", async () => {
+      // The Spanish track is linked from another host name, like a CDN
+      const result = await callTool(client, "get_lecture", { course_slug: "machine-learning", item_id: "lecWelcome", language: "es" });
+      assert.equal(result.transcript.cues[0].text, "Bienvenido al aprendizaje automático.");
+      const subtitleRequests = stub.requests.filter((request) => request.path.startsWith("/subtitles/welcome.es.vtt"));
+      assert.ok(subtitleRequests.length > 0);
+      for (const request of subtitleRequests) {
+        assert.match(request.host, /^localhost:/);
+        assert.equal(request.cookie, null);
+      }
+    });
+
+    test("resources/list lists courses without fetching their outlines", async () => {
+      const outlineRequests = () => stub.requests.filter((request) => request.path.startsWith("/api/onDemandCourseMaterials")).length;
+      const before = outlineRequests();
+      const { resources } = await client.listResources();
+      assert.deepEqual(resources.map((resource) => resource.uri), [
+        "coursera://course/machine-learning",
+        "coursera://course/python-basics",
+      ]);
+      assert.equal(outlineRequests(), before);
+
+      const { contents } = await client.readResource({ uri: "coursera://course/machine-learning" });
+      const course = JSON.parse(contents[0].text);
+      assert.ok(course.resources.some((resource) => resource.uri === "coursera://course/machine-learning/reading/rdgSetup"));
+      assert.ok(course.resources.some((resource) => resource.uri === "coursera://course/machine-learning/lecture/lecWelcome/transcript"));
+    });
+
+    test("get_page_content only opens Coursera URLs", async () => {
+      // The stub's URL as a string prefix, and its host on another port
+      const { hostname, port } = new URL(stub.url);
+      const otherPort = `http://${hostname}:${Number(port) === 65535 ? 1024 : Number(port) + 1}`;
+      for (const url of [`${stub.url}5/learn/machine-learning`, `${otherPort}/learn/machine-learning`, "https://example.com/?next=coursera.org"]) {
+        const error = await callToolError(client, "get_page_content", { url });
+        assert.equal(error.code, "invalid_argument", url);
+      }
+    });
+
+    test("unknown courses fail with not_found", async () => {
+      const error = await callToolError(client, "get_course", { course_slug: "no-such-course" });
+      assert.equal(error.code, "not_found");
+    });
+  });
+}
+
+defineToolTests("stdio", async (stubUrl) => ({
+  client: await connectStdio(serverEnv(stubUrl)),
+}));
+
+defineToolTests("Streamable HTTP", async (stubUrl) => {
+  const httpServer = await startHttpServer(serverEnv(stubUrl));
+  return { client: await connectHttp(httpServer.url), close: httpServer.close };
+});
+
+describe("Streamable HTTP endpoints", () => {
+  let stub;
+  let httpServer;
+
+  before(async () => {
+    stub = await startStubCoursera();
+    httpServer = await startHttpServer(serverEnv(stub.url));
+  });
+
+  after(async () => {
+    await httpServer?.close();
+    await stub?.close();
+  });
+
+  test("/health reports the Coursera session", async () => {
+    const response = await fetch(new URL("/health", httpServer.url), {
+      headers: { Authorization: `Bearer ${TEST_API_KEY}` },
+    });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.status, "ok");
+    assert.equal(body.session.name, "Ada Learner");
+    assert.equal(body.requests.retries, 0);
+    assert.equal(body.requests.hosts[new URL(stub.url).host].active, 0);
+  });
+
+  test("/health reports the browser pool once a session needs it", async () => {
+    const client = await connectHttp(httpServer.url);
+    await client.close();
+    const response = await fetch(new URL("/health", httpServer.url), {
+      headers: { Authorization: `Bearer ${TEST_API_KEY}` },
+    });
+    const { browser } = await response.json();
+    assert.equal(browser.max_pages, 4);
+    assert.equal(browser.active_pages, 0);
+    assert.equal(browser.queued, 0);
+  });
+
+  test("rejects requests without the API key", async () => {
+    const response = await fetch(new URL("/mcp", httpServer.url), { method: "POST" });
+    assert.equal(response.status, 401);
+  });
+
+  describe("without an API key", () => {
+    let openServer;
+
+    before(async () => {
+      openServer = await startHttpServer(serverEnv(stub.url), { apiKey: null });
+    });
+
+    after(async () => {
+      await openServer?.close();
+    });
+
+    test("/health doesn't say whose session it is", async () => {
+      const response = await fetch(new URL("/health", openServer.url));
+      const body = await response.json();
+      assert.equal(body.status, "ok");
+      assert.equal(body.session.valid, true);
+      assert.equal(body.session.name, undefined);
+      assert.equal(body.session.user_id, undefined);
+    });
+
+    test("/health?refresh=1 doesn't check Coursera again right away", async () => {
+      const profileChecks = () => stub.requests.filter((request) => request.path.startsWith("/api/externalBasicProfiles")).length;
+      await fetch(new URL("/health?refresh=1", openServer.url));
+      const before = profileChecks();
+      await fetch(new URL("/health?refresh=1", openServer.url));
+      await fetch(new URL("/health?refresh=1", openServer.url));
+      assert.equal(profileChecks(), before);
+    });
+  });
+});
+
+describe("without Chromium", () => {
+  let stub;
+  let client;
+
+  before(async () => {
+    stub = await startStubCoursera();
+    client = await connectStdio(serverEnv(stub.url, { PUPPETEER_EXECUTABLE_PATH: "/nonexistent/chrome" }));
+  });
+
+  after(async () => {
+    await client?.close();
+    await stub?.close();
+  });
+
+  test("readings and lectures come from the API", async () => {
+    const reading = await callTool(client, "get_reading", { course_slug: "machine-learning", item_id: "rdgSetup", format: "markdown" });
+    assert.equal(reading.source, "api");
+    assert.match(reading.content, /## Libraries/);
+
+    const lecture = await callTool(client, "get_lecture", { course_slug: "machine-learning", item_id: "lecWelcome" });
+    assert.equal(lecture.source, "api");
+    assert.equal(lecture.transcript.source, "subtitles");
+  });
+
+  test("get_assignment returns the outline entry without questions", async () => {
+    const result = await callTool(client, "get_assignment", { course_slug: "machine-learning", item_id: "quzCost" });
+    assert.equal(result.source, "api");
+    assert.equal(result.title, "Cost Function Quiz");
+    assert.equal(result.type, "exam");
+    assert.match(result.url, /\/exam\/quzCost\/cost-function-quiz$/);
+    assert.equal(result.questions, null);
+    assert.ok(result.browser_error.message);
+  });
+
+  test("get_assignment reports the browser failure for items the outline doesn't list", async () => {
+    const error = await callToolError(client, "get_assignment", { course_slug: "machine-learning", item_id: "nope" });
+    assert.match(error.message, /\/nonexistent\/chrome/);
+  });
+});
+
+describe("expired session", () => {
+  let stub;
+  let client;
+
+  before(async () => {
+    stub = await startStubCoursera();
+    client = await connectStdio(serverEnv(stub.url, {
+      COURSERA_COOKIE_FILE: fixturePath("expired-cookies.txt"),
+    }));
+  });
+
+  after(async () => {
+    await client?.close();
+    await stub?.close();
+  });
+
+  test("tools fail with auth_expired", async () => {
+    const error = await callToolError(client, "list_enrollments");
+    assert.equal(error.code, "auth_expired");
+    assert.equal(error.status, 401);
+  });
+
+  test("pages that redirect to the login form fail with auth_expired", { timeout: BROWSER_TIMEOUT_MS }, async (t) => {
+    if (browserSkip) {
+      t.skip(browserSkip);
+      return;
+    }
+    const error = await callToolError(client, "get_progress", { course_slug: "machine-learning" });
+    assert.equal(error.code, "auth_expired");
+    assert.match(error.message, /Redirected to the Coursera login page/);
+  });
+
+  test("auth_status reports the session as invalid", async () => {
+    const status = await callTool(client, "auth_status");
+    assert.equal(status.valid, false);
+    assert.equal(status.error.code, "auth_expired");
+  });
+});